@@ -9,6 +9,7 @@ const bichikuhinkanri = require('./apps/bichikuhinkanri');
 const kottouhin = require('./apps/kottouhin');
 const kikai = require('./apps/kikai');
 const reservations = require('./apps/reservations');
+const { startExpiryAlertScheduler } = require('./jobs/expiryAlerts');
 
 const soumu = express();
 const PORT = 3000;
@@ -34,11 +35,11 @@ app.use(vhost('reservations_local', reservations));
 sequelize.sync({ alter: false }).then(async () => {
     console.log('Database synced');
 
-    // テストユーザーがいない場合は作成 (ユーザー名: admin, パスワード: password123)
+    // テストユーザーがいない場合は作成 (ユーザー名: admin, パスワード: password123、最初のログインで変更が必要)
     const userCount = await User.count();
     if (userCount === 0) {
         const hashedPassword = await bcrypt.hash('password123', 10);
-        await User.create({ name: 'admin', password: hashedPassword, role: 'admin' });
+        await User.create({ name: 'admin', password: hashedPassword, role: 'admin', must_change_password: true });
         console.log('Default user created');
     }
 
@@ -49,6 +50,11 @@ sequelize.sync({ alter: false }).then(async () => {
         console.log('Default stocktaking created');
     }
 
+    // 消費期限アラートのスケジューラー (.env の EXPIRY_ALERT_ENABLED=true で有効)
+    if (process.env.EXPIRY_ALERT_ENABLED === 'true') {
+        startExpiryAlertScheduler();
+    }
+
     app.listen(PORT, () => {
         console.log(`Server is running on http://localhost:${PORT}`);
     });
@@ -1,48 +1,305 @@
 const express = require('express');
 
 const cookieParser = require('cookie-parser');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { Op } = require('sequelize');
-const { sequelize, User, StorageLocation, Bichikuhin, StockRecord, Unit, Stocktaking } = require('../models');
+const { sequelize, User, LoginEvent, ApiKey, StorageLocation, Bichikuhin, BichikuhinCategory, StockRecord, Unit, Stocktaking, StocktakingAssignment, StockMovement, StockTarget, StockDisposal, AuditLog } = require('../models');
 const path = require('path');
+const multer = require('multer');
+const { parseHorizon, runExpiryAlerts } = require('../jobs/expiryAlerts');
+const stockImport = require('../lib/stockImport');
+const { sendExport, sendTable } = require('../lib/stockExport');
+const labels = require('../lib/labels');
+const { auditContext } = require('../lib/auditLog');
+const locationTree = require('../lib/locationTree');
+const roles = require('../lib/roles');
+const auth = require('../lib/auth');
+const passwordPolicy = require('../lib/passwordPolicy');
+const throttle = require('../lib/loginThrottle');
+const apiKeys = require('../lib/apiKeys');
+const { fiscalYearOf } = require('../lib/fiscalYear');
+const { buildForecast } = require('../lib/replacementForecast');
+const { buildSufficiency } = require('../lib/sufficiency');
+const { todayString } = require('../lib/localDate');
 
 const app = express();
 
 // --- 設定 ---
-const ACCESS_SECRET = process.env.ACCESS_SECRET || 'access_secret_123';
-const REFRESH_SECRET = process.env.REFRESH_SECRET || 'refresh_secret_456';
 const PORT = 3000;
 
 app.use(express.json());
 app.use(cookieParser());
+app.use(auditContext);
 app.use(express.static('public'));
 
-// --- 認証ミドルウェア ---
-const authenticateToken = (req, res, next) => {
-    const token = req.cookies.accessToken;
-    
-    if (!token) {
-        // APIリクエストの場合は401を返し、ページ遷移の場合はログインへリダイレクト
-        if (req.path.startsWith('/api/')) return res.sendStatus(401);
-        return res.redirect('/login');
+// 一括取込ファイルはディスクに保存せずメモリ上で処理する
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// --- 認証ミドルウェア (lib/auth.js、ログイン・リフレッシュ・ログアウトAPIもここで登録) ---
+app.use(auth.authRoutes());
+
+// 備蓄品管理の画面・API は、このアプリの閲覧権限以上が必要
+const authenticateToken = auth.protect('bichikuhin');
+
+// 権限のチェック (authenticateToken の後に使う、権限の一覧は lib/roles.js)
+const isAdmin = roles.requireRole('admin', 'bichikuhin');
+const canEdit = roles.requireRole('editor', 'bichikuhin');
+// ユーザー管理は全体の権限が管理者のユーザーのみ
+const isSystemAdmin = roles.requireRole('admin');
+
+// --- 入出庫ヘルパー ---
+const MOVEMENT_TYPES = ['receive', 'consume', 'dispose', 'transfer', 'adjust'];
+
+// 種別ごとの増減の向き (adjust は指定された値をそのまま使う)
+const MOVEMENT_SIGNS = { receive: 1, consume: -1, dispose: -1, transfer: -1 };
+
+// 入出庫履歴の合計を StockRecord.quantity に反映する
+const syncQuantity = async (record, transaction) => {
+    const total = await StockMovement.sum('quantity', { where: { StockRecordId: record.id }, transaction });
+    await record.update({ quantity: total || 0 }, { transaction });
+    return record;
+};
+
+// 履歴のない既存レコードは、現在の数量を期首残高として登録してから扱う
+const ensureOpeningBalance = async (record, userId, transaction) => {
+    const count = await StockMovement.count({ where: { StockRecordId: record.id }, transaction });
+    if (count === 0 && record.quantity !== 0) {
+        await StockMovement.create({
+            StockRecordId: record.id,
+            movement_type: 'adjust',
+            quantity: record.quantity,
+            reason: '期首残高',
+            UserId: userId
+        }, { transaction });
+    }
+};
+
+// 入出庫を1件記録し、数量を再計算する (quantity は増減値)
+const recordMovement = async (record, { type, quantity, reason, userId, relatedRecordId, timestamp }, transaction) => {
+    await ensureOpeningBalance(record, userId, transaction);
+    const movement = await StockMovement.create({
+        StockRecordId: record.id,
+        movement_type: type,
+        quantity,
+        reason: reason || null,
+        UserId: userId,
+        RelatedStockRecordId: relatedRecordId || null,
+        movement_timestamp: timestamp || new Date()
+    }, { transaction });
+    await syncQuantity(record, transaction);
+    return movement;
+};
+
+// 在庫を置けるのは部屋 (保管場所の階層の末端) のみ
+const isRoomLocation = async (locationId, transaction) => {
+    if (!locationId) return false;
+    return Boolean(await StorageLocation.findOne({ where: { id: locationId, level: 'room' }, transaction }));
+};
+
+// --- 棚卸ロックヘルパー ---
+// 確定済の棚卸に属する在庫記録は、管理者が再開するまで変更できない
+const isStocktakingLocked = async (stocktakingId, transaction) => {
+    const stocktaking = await Stocktaking.findByPk(stocktakingId, { transaction });
+    return !!stocktaking && stocktaking.status === 'finalized';
+};
+
+const LOCKED_ERROR = { error: 'Stocktaking is finalized. Ask an administrator to reopen it.' };
+
+// --- 棚卸の実数入力ヘルパー ---
+// 実数との差分を「棚卸」の調整として記録する (差分がなければ何もしない)
+const applyCount = async (record, counted, { userId, reason = '棚卸', timestamp }, transaction) => {
+    const delta = counted - record.quantity;
+    if (delta !== 0) {
+        await recordMovement(record, { type: 'adjust', quantity: delta, reason, userId, timestamp }, transaction);
+    }
+};
+
+// MySQL の DATETIME は秒単位で保存されるため、比較も秒単位で行う
+const toSeconds = (value) => Math.floor(new Date(value).getTime() / 1000);
+
+// --- 在庫記録の絞り込みヘルパー ---
+/* 一覧表示と出力で共通の絞り込み条件
+   locationId (建物・フロアなどを指定すると配下の保管場所すべて), bichikuhinId, name (品名の部分一致),
+   taishozumi (true/false), expiry (expired または 1m / 3m / 6m などの期限区分)
+*/
+const buildRecordFilter = async (stocktakingId, query) => {
+    const where = { StocktakingId: stocktakingId, kubun: 1 };
+    if (query.locationId) {
+        const locations = await StorageLocation.findAll({ attributes: ['id', 'ParentId'] });
+        where.StorageLocationId = locationTree.descendantIds(locations, query.locationId);
+    }
+    if (query.bichikuhinId) where.BichikuhinId = query.bichikuhinId;
+    if (query.taishozumi === 'true' || query.taishozumi === 'false') {
+        where.taishozumi = query.taishozumi === 'true';
+    }
+    if (query.expiry) {
+        where.expiry_date = { [Op.ne]: null, [Op.lt]: parseHorizon(query.expiry).date };
     }
+    const bichikuhinWhere = query.name ? { name: { [Op.like]: `%${query.name}%` } } : undefined;
+    return {
+        where,
+        include: [{ model: Bichikuhin, where: bichikuhinWhere, include: [Unit] }, StorageLocation],
+        order: [[StorageLocation, 'id', 'ASC'], [Bichikuhin, 'id', 'ASC']]
+    };
+};
+
+// --- 目標在庫ヘルパー ---
+// 目標数量 (直接指定がなければ 人数 × 1人1日あたり数量 × 日数 を切り上げ)
+const effectiveTarget = (target) => {
+    if (target.target_quantity !== null && target.target_quantity !== undefined) {
+        return target.target_quantity;
+    }
+    if (target.headcount && target.per_person_per_day && target.days) {
+        return Math.ceil(target.headcount * Number(target.per_person_per_day) * target.days);
+    }
+    return 0;
+};
 
-    jwt.verify(token, ACCESS_SECRET, (err, user) => {
-        if (err) {
-            if (req.path.startsWith('/api/')) return res.sendStatus(401);
-            return res.redirect('/login');
+// --- 保管場所の階層別小計ヘルパー ---
+/* 在庫記録を、指定した階層の保管場所 × 備蓄品ごとに集計します。
+   指定した階層の祖先がない記録 (例: 建物に属さない部屋) は「(未設定)」にまとめます。
+*/
+const buildSubtotals = (records, locations, level) => {
+    const map = locationTree.toMap(locations);
+    const groups = new Map();
+    for (const record of records) {
+        const node = locationTree.ancestorAtLevel(map, record.StorageLocationId, level);
+        const key = node ? node.id : 0;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                locationId: node ? node.id : null,
+                name: node ? node.name : '(未設定)',
+                path: node ? locationTree.pathOf(map, node.id) : '(未設定)',
+                items: new Map()
+            });
         }
-        req.user = user;
-        next();
-    });
+        const items = groups.get(key).items;
+        if (!items.has(record.BichikuhinId)) {
+            items.set(record.BichikuhinId, {
+                bichikuhinId: record.BichikuhinId,
+                name: record.Bichikuhin ? record.Bichikuhin.name : '',
+                unit: record.Bichikuhin && record.Bichikuhin.Unit ? record.Bichikuhin.Unit.name : '',
+                quantity: 0,
+                lots: 0
+            });
+        }
+        const item = items.get(record.BichikuhinId);
+        item.quantity += record.quantity;
+        item.lots += 1;
+    }
+    return [...groups.values()]
+        .sort((a, b) => a.path.localeCompare(b.path, 'ja'))
+        .map(group => ({ ...group, items: [...group.items.values()] }));
+};
+
+// --- 対処記録ヘルパー ---
+// 対処の種類と、在庫から払い出すときの入出庫種別
+const DISPOSAL_ACTIONS = {
+    drill: { label: '訓練で消費', movementType: 'consume' },
+    donation: { label: '寄贈', movementType: 'dispose' },
+    discard: { label: '廃棄', movementType: 'dispose' },
+    redistribute: { label: '他施設へ配布', movementType: 'dispose' }
 };
 
-// --- トークン生成ヘルパー ---
-const generateTokens = (user) => {
-    const accessToken = jwt.sign({ id: user.id, name: user.name, role: user.role }, ACCESS_SECRET, { expiresIn: '5m' });
-    const refreshToken = jwt.sign({ id: user.id }, REFRESH_SECRET, { expiresIn: '7d' });
-    return { accessToken, refreshToken };
+// --- 棚卸差異ヘルパー ---
+/* 2つの棚卸の在庫記録を「備蓄品 × 保管場所」単位で突き合わせます。
+   1. 同じ消費期限のロット同士を対応付け、数量の増減を検出
+   2. 残ったロットを消費期限順に対応付け、消費期限の変更として検出
+   3. それでも残ったロットは追加 / 削除として扱う
+*/
+const buildVarianceReport = (base, target, baseRecords, targetRecords) => {
+    const lotKey = (record) => `${record.BichikuhinId}-${record.StorageLocationId}`;
+    const isExpired = (record, date) => !!record.expiry_date && record.expiry_date < date;
+    const summarize = (record) => ({
+        id: record.id,
+        quantity: record.quantity,
+        expiry_date: record.expiry_date,
+        taishozumi: record.taishozumi,
+        bikou: record.bikou
+    });
+
+    const groups = new Map();
+    const addToGroup = (record, side) => {
+        const key = lotKey(record);
+        if (!groups.has(key)) {
+            groups.set(key, { bichikuhin: record.Bichikuhin, location: record.StorageLocation, base: [], target: [] });
+        }
+        groups.get(key)[side].push(record);
+    };
+    baseRecords.forEach(record => addToGroup(record, 'base'));
+    targetRecords.forEach(record => addToGroup(record, 'target'));
+
+    const report = { added: [], removed: [], quantityChanged: [], expiryChanged: [], newlyExpired: [] };
+    const byExpiry = (a, b) => String(a.expiry_date || '').localeCompare(String(b.expiry_date || ''));
+
+    for (const group of groups.values()) {
+        const entry = (extra) => ({ bichikuhin: group.bichikuhin, location: group.location, ...extra });
+        const remainingBase = [...group.base].sort(byExpiry);
+        const remainingTarget = [];
+        const pairs = [];
+
+        // 1. 同じ消費期限同士
+        for (const record of [...group.target].sort(byExpiry)) {
+            const index = remainingBase.findIndex(b => b.expiry_date === record.expiry_date);
+            if (index >= 0) {
+                pairs.push([remainingBase.splice(index, 1)[0], record]);
+            } else {
+                remainingTarget.push(record);
+            }
+        }
+
+        // 2. 消費期限が変わったロット
+        while (remainingBase.length > 0 && remainingTarget.length > 0) {
+            pairs.push([remainingBase.shift(), remainingTarget.shift()]);
+        }
+
+        for (const [before, after] of pairs) {
+            if (before.expiry_date !== after.expiry_date) {
+                report.expiryChanged.push(entry({ before: summarize(before), after: summarize(after) }));
+            }
+            if (before.quantity !== after.quantity) {
+                report.quantityChanged.push(entry({ before: summarize(before), after: summarize(after), difference: after.quantity - before.quantity }));
+            }
+            if (isExpired(after, target.date) && !isExpired(before, base.date)) {
+                report.newlyExpired.push(entry({ after: summarize(after) }));
+            }
+        }
+
+        // 3. 追加・削除
+        remainingTarget.forEach(record => {
+            report.added.push(entry({ after: summarize(record) }));
+            if (isExpired(record, target.date)) {
+                report.newlyExpired.push(entry({ after: summarize(record) }));
+            }
+        });
+        remainingBase.forEach(record => report.removed.push(entry({ before: summarize(record) })));
+    }
+
+    // 備蓄品別・保管場所別の合計
+    const totals = (keyOf, labelOf) => {
+        const map = new Map();
+        const add = (record, field) => {
+            const key = keyOf(record);
+            if (!map.has(key)) map.set(key, { id: key, ...labelOf(record), baseQuantity: 0, targetQuantity: 0 });
+            map.get(key)[field] += record.quantity;
+        };
+        baseRecords.forEach(record => add(record, 'baseQuantity'));
+        targetRecords.forEach(record => add(record, 'targetQuantity'));
+        return [...map.values()]
+            .map(row => ({ ...row, difference: row.targetQuantity - row.baseQuantity }))
+            .sort((a, b) => a.id - b.id);
+    };
+
+    report.totalsByBichikuhin = totals(
+        record => record.BichikuhinId,
+        record => ({ name: record.Bichikuhin?.name, unit: record.Bichikuhin?.Unit?.name || '' })
+    );
+    report.totalsByLocation = totals(
+        record => record.StorageLocationId,
+        record => ({ name: record.StorageLocation?.name, ryakushou: record.StorageLocation?.ryakushou })
+    );
+
+    return { base, target, ...report };
 };
 
 // --- ルート設定 ---
@@ -57,7 +314,8 @@ app.get('/login', (req, res) => {
     res.sendFile(path.join(__dirname, '../views', 'login.html'));
 });
 
-app.get('/change_password', authenticateToken, (req, res) => {
+// パスワード変更・ログイン中のユーザー情報は、どのアプリの利用者でも使える
+app.get('/change_password', auth.authenticateForPasswordChange, (req, res) => {
     res.sendFile(path.join(__dirname, '../views', 'change_password.html'));
 });
 
@@ -69,78 +327,121 @@ app.get('/print_preview', authenticateToken, (req, res) => {
     res.sendFile(path.join(__dirname, '../views', 'print_preview.html'));
 });
 
-// 3. ログイン実行API
-app.post('/api/login', async (req, res) => {
-    const { name, password } = req.body;
-    const user = await User.findOne({ where: { name } });
+app.get('/variance', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'variance.html'));
+});
 
-    if (user && await bcrypt.compare(password, user.password)) {
-        const { accessToken, refreshToken } = generateTokens(user);
-        
-        // クッキーに保存 (セキュリティのためHttpOnlyを推奨)
-        res.cookie('accessToken', accessToken, { httpOnly: true });
-        res.cookie('refreshToken', refreshToken, { httpOnly: true });
-        
-        return res.json({ success: true });
-    }
-    res.status(401).json({ message: 'ユーザー名またはパスワードが正しくありません' });
+app.get('/import', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'import.html'));
 });
 
-// 新規ユーザー登録API
-app.post('/api/register', async (req, res) => {
-    const { name, password } = req.body;
+app.get('/masters', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'masters.html'));
+});
 
-    if (!name || !password) {
-        return res.status(400).json({ message: 'ユーザー名とパスワードは必須です' });
-    }
+app.get('/targets', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'targets.html'));
+});
 
-    try {
-        // ユーザー名の重複チェック
-        const existingUser = await User.findOne({ where: { name } });
-        if (existingUser) {
-            return res.status(409).json({ message: 'このユーザー名はすでに使用されています' });
-        }
+app.get('/shortage_report', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'shortage_report.html'));
+});
 
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const newUser = await User.create({ name, password: hashedPassword, role: 'user' }); // デフォルトロールを'user'とする
-        
-        res.status(201).json({ success: true, message: 'ユーザー登録が完了しました', user: { id: newUser.id, name: newUser.name } });
-    } catch (error) {
-        console.error('ユーザー登録エラー:', error);
-        res.status(500).json({ message: 'サーバーエラーが発生しました' });
-    }
+app.get('/disposal_certificate', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'disposal_certificate.html'));
 });
 
-// 4. トークンリフレッシュAPI
-app.post('/api/refresh', async (req, res) => {
-    const refreshToken = req.cookies.refreshToken;
-    if (!refreshToken) return res.sendStatus(401);
+app.get('/disposal_report', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'disposal_report.html'));
+});
 
-    jwt.verify(refreshToken, REFRESH_SECRET, async (err, decoded) => {
-        if (err) return res.sendStatus(403);
-        
-        try {
-            const user = await User.findByPk(decoded.id);
-            if (!user) return res.sendStatus(403);
+app.get('/replacement_forecast', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'replacement_forecast.html'));
+});
 
-            const accessToken = jwt.sign(
-                { id: user.id, name: user.name, role: user.role },
-                ACCESS_SECRET,
-                { expiresIn: '5m' }
-            );
-            res.cookie('accessToken', accessToken, { httpOnly: true });
-            res.json({ success: true });
-        } catch (error) {
-            console.error('Refresh error:', error);
-            res.sendStatus(500);
+app.get('/sufficiency', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'sufficiency.html'));
+});
+
+app.get('/assignments', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'assignments.html'));
+});
+
+app.get('/sessions', auth.authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'sessions.html'));
+});
+
+app.get('/users', auth.authenticateToken, isSystemAdmin, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'users.html'));
+});
+
+app.get('/api_keys', auth.authenticateToken, isSystemAdmin, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'api_keys.html'));
+});
+
+app.get('/audit_logs', authenticateToken, (req, res) => {
+    res.sendFile(path.join(__dirname, '../views', 'audit_logs.html'));
+});
+
+// ラベル印刷 (保管場所)
+app.get('/labels/locations', authenticateToken, async (req, res) => {
+    try {
+        const allLocations = await StorageLocation.findAll({ order: [['id', 'ASC']] });
+        const map = locationTree.toMap(allLocations);
+        const ids = req.query.ids ? String(req.query.ids).split(',').map(Number) : null;
+        const locations = allLocations.filter(location => !location.retired && (ids ? ids.includes(location.id) : true));
+        const html = await labels.renderLabelSheet(locations.map(location => ({
+            code: labels.locationCode(location),
+            title: location.name,
+            lines: [location.ParentId ? locationTree.pathOf(map, location.ParentId) : location.ryakushou]
+        })), { layout: req.query.layout, title: '保管場所ラベル' });
+        res.send(html);
+    } catch (err) {
+        res.status(500).send(err.message);
+    }
+});
+
+// ラベル印刷 (在庫ロット、?stocktakingId= 必須、?locationId= で絞り込み)
+app.get('/labels/records', authenticateToken, async (req, res) => {
+    try {
+        const { stocktakingId, locationId } = req.query;
+        if (!stocktakingId) return res.status(400).send('stocktakingId is required');
+
+        const where = { StocktakingId: stocktakingId, kubun: 1 };
+        if (locationId) {
+            // 建物・フロアなどを指定すると配下の保管場所すべて
+            const locations = await StorageLocation.findAll({ attributes: ['id', 'ParentId'] });
+            where.StorageLocationId = locationTree.descendantIds(locations, locationId);
         }
-    });
+        const records = await StockRecord.findAll({
+            where,
+            include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation],
+            order: [[StorageLocation, 'id', 'ASC'], [Bichikuhin, 'id', 'ASC']]
+        });
+
+        // ロット番号導入前の記録は migrate_bichikuhin.js で番号を振る (ここでは書き込まない)
+        const html = await labels.renderLabelSheet(records.filter(record => record.lot_code).map(record => ({
+            code: labels.lotCode(record),
+            title: record.Bichikuhin ? record.Bichikuhin.name : '',
+            lines: [
+                record.StorageLocation ? record.StorageLocation.name : '',
+                record.expiry_date ? `期限 ${record.expiry_date}` : ''
+            ]
+        })), { layout: req.query.layout, title: 'ロットラベル' });
+        res.send(html);
+    } catch (err) {
+        res.status(500).send(err.message);
+    }
 });
 
 // 5. 棚卸データ取得API
 app.get('/api/stocktakings', authenticateToken, async (req, res) => {
     try {
         const stocktakings = await Stocktaking.findAll({
+            include: [
+                { model: User, as: 'FinalizedBy', attributes: ['id', 'name', 'name_jp'] },
+                { model: User, as: 'ReopenedBy', attributes: ['id', 'name', 'name_jp'] }
+            ],
             order: [['date', 'DESC']]
         });
         res.json(stocktakings);
@@ -162,7 +463,66 @@ app.get('/api/stocktakings/:id', authenticateToken, async (req, res) => {
     }
 });
 
-app.post('/api/stocktakings', authenticateToken, async (req, res) => {
+// 棚卸ステータス変更API
+/* draft → counting → finalized の順に進みます。
+   確定時は確定者と日時を記録し、以降の在庫記録の変更を拒否します。
+*/
+app.post('/api/stocktakings/:id/start', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const stocktaking = await Stocktaking.findByPk(req.params.id);
+        if (!stocktaking) return res.status(404).json({ error: 'Stocktaking not found' });
+        if (stocktaking.status !== 'draft') {
+            return res.status(409).json({ error: 'Only draft stocktakings can be started' });
+        }
+        await stocktaking.update({ status: 'counting' });
+        res.json(stocktaking);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/stocktakings/:id/finalize', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const stocktaking = await Stocktaking.findByPk(req.params.id);
+        if (!stocktaking) return res.status(404).json({ error: 'Stocktaking not found' });
+        if (stocktaking.status !== 'counting') {
+            return res.status(409).json({ error: 'Only stocktakings in counting can be finalized' });
+        }
+        await stocktaking.update({
+            status: 'finalized',
+            finalized_at: new Date(),
+            FinalizedByUserId: req.user.id
+        });
+        res.json(stocktaking);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 確定済の棚卸を再開するAPI (管理者のみ)
+app.post('/api/stocktakings/:id/reopen', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const { reason } = req.body;
+        if (!reason) return res.status(400).json({ error: 'Reason is required' });
+
+        const stocktaking = await Stocktaking.findByPk(req.params.id);
+        if (!stocktaking) return res.status(404).json({ error: 'Stocktaking not found' });
+        if (stocktaking.status !== 'finalized') {
+            return res.status(409).json({ error: 'Only finalized stocktakings can be reopened' });
+        }
+        await stocktaking.update({
+            status: 'counting',
+            reopened_at: new Date(),
+            reopen_reason: reason,
+            ReopenedByUserId: req.user.id
+        });
+        res.json(stocktaking);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/stocktakings', authenticateToken, canEdit, async (req, res) => {
     const t = await sequelize.transaction();
     try {
         const { name, date, copyFromId } = req.body;
@@ -171,7 +531,7 @@ app.post('/api/stocktakings', authenticateToken, async (req, res) => {
         }
 
         // Deactivate all other stocktakings
-        await Stocktaking.update({ active: false }, { where: {}, transaction: t });
+        await Stocktaking.update({ active: false }, { where: { active: true }, individualHooks: true, transaction: t });
 
         // Create the new stocktaking as active
         const newStocktaking = await Stocktaking.create({ name, date, active: true }, { transaction: t });
@@ -192,7 +552,19 @@ app.post('/api/stocktakings', authenticateToken, async (req, res) => {
                         StocktakingId: newStocktaking.id
                     };
                 });
-                await StockRecord.bulkCreate(newRecords, { transaction: t });
+                const created = await StockRecord.bulkCreate(newRecords, { transaction: t });
+
+                // 繰越数量を新しい棚卸の期首残高として履歴に残す
+                const openingMovements = created
+                    .filter(record => record.quantity !== 0)
+                    .map(record => ({
+                        StockRecordId: record.id,
+                        movement_type: 'adjust',
+                        quantity: record.quantity,
+                        reason: '前回棚卸から繰越',
+                        UserId: req.user.id
+                    }));
+                await StockMovement.bulkCreate(openingMovements, { transaction: t });
             }
         }
 
@@ -205,14 +577,151 @@ app.post('/api/stocktakings', authenticateToken, async (req, res) => {
     }
 });
 
-// GET expired records from active stocktaking
-app.get('/api/records/expired', async (req, res) => {
-    // セキュリティ：簡易的なAPIキーチェック（.envに定義）
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey !== process.env.CRON_API_KEY) {
-        return res.sendStatus(403);
+// 棚卸差異レポートAPI
+/* baseId を省略した場合は、対象の棚卸より前の直近の棚卸と比較します。
+*/
+app.get('/api/stocktakings/:id/variance', authenticateToken, async (req, res) => {
+    try {
+        const target = await Stocktaking.findByPk(req.params.id);
+        if (!target) {
+            return res.status(404).json({ error: 'Stocktaking not found' });
+        }
+
+        const base = req.query.baseId
+            ? await Stocktaking.findByPk(req.query.baseId)
+            : await Stocktaking.findOne({
+                // 既定は直前の棚卸 (同じ日付の場合は先に作成したもの)
+                where: {
+                    [Op.or]: [
+                        { date: { [Op.lt]: target.date } },
+                        { date: target.date, id: { [Op.lt]: target.id } }
+                    ]
+                },
+                order: [['date', 'DESC'], ['id', 'DESC']]
+            });
+        if (!base) {
+            return res.status(404).json({ error: 'Base stocktaking not found' });
+        }
+
+        const findRecords = (stocktakingId) => StockRecord.findAll({
+            where: { StocktakingId: stocktakingId, kubun: 1 },
+            include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation],
+            order: [[StorageLocation, 'id', 'ASC'], [Bichikuhin, 'id', 'ASC']]
+        });
+        const [baseRecords, targetRecords] = await Promise.all([findRecords(base.id), findRecords(target.id)]);
+
+        res.json(buildVarianceReport(base.toJSON(), target.toJSON(), baseRecords, targetRecords));
+    } catch (err) {
+        console.error('Error building variance report:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 在庫記録一括取込API
+/* CSV (UTF-8 / Shift_JIS) または .xlsx を受け取り、?dryRun=true の場合は検証結果のみ返します。
+   本登録はエラー行が1件もない場合に限り、1トランザクションで行います。
+   未登録の備蓄品・単位は本登録時に作成します。
+   multipart の項目: file, encoding (省略時は自動判定), mapping (列見出しの対応を JSON で指定)
+*/
+app.post('/api/stocktakings/:id/import', authenticateToken, canEdit, importUpload.single('file'), auditContext, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'File is required' });
+        }
+        const stocktaking = await Stocktaking.findByPk(req.params.id);
+        if (!stocktaking) {
+            return res.status(404).json({ error: 'Stocktaking not found' });
+        }
+        if (stocktaking.status === 'finalized') {
+            return res.status(409).json(LOCKED_ERROR);
+        }
+
+        let mapping = {};
+        if (req.body.mapping) {
+            try {
+                mapping = JSON.parse(req.body.mapping);
+            } catch (err) {
+                return res.status(400).json({ error: 'mapping must be valid JSON' });
+            }
+        }
+
+        let rawRows;
+        try {
+            rawRows = await stockImport.readRows(req.file, req.body.encoding);
+        } catch (err) {
+            if (err instanceof stockImport.ImportError) return res.status(400).json({ error: err.message });
+            throw err;
+        }
+
+        const [locations, bichikuhins, units] = await Promise.all([
+            StorageLocation.findAll({ where: { retired: false, level: 'room' }, raw: true }),
+            Bichikuhin.findAll({ where: { retired: false }, include: [Unit] }),
+            Unit.findAll({ where: { retired: false }, raw: true })
+        ]);
+        const preview = stockImport.buildPreview(rawRows, { mapping, locations, bichikuhins, units });
+
+        const hasErrors = preview.errors.length > 0 || preview.rows.some(row => row.errors.length > 0);
+        if (req.query.dryRun === 'true') {
+            return res.json({ dryRun: true, ...preview });
+        }
+        if (hasErrors) {
+            return res.status(400).json({ dryRun: false, error: 'The file contains invalid rows', ...preview });
+        }
+
+        const t = await sequelize.transaction();
+        try {
+            const unitIds = new Map(units.map(u => [u.name, u.id]));
+            for (const name of preview.newUnits) {
+                const unit = await Unit.create({ name }, { transaction: t });
+                unitIds.set(name, unit.id);
+            }
+
+            const bichikuhinIds = new Map(bichikuhins.map(b => [b.name, b.id]));
+            for (const item of preview.newBichikuhins) {
+                const created = await Bichikuhin.create({
+                    name: item.name,
+                    UnitId: item.unitName ? unitIds.get(item.unitName) : null
+                }, { transaction: t });
+                bichikuhinIds.set(item.name, created.id);
+            }
+
+            const reason = `一括取込 (${req.file.originalname})`;
+            for (const row of preview.rows) {
+                const record = await StockRecord.create({
+                    BichikuhinId: bichikuhinIds.get(row.name),
+                    StorageLocationId: row.locationId,
+                    quantity: 0,
+                    expiry_date: row.expiryDate,
+                    StocktakingId: stocktaking.id,
+                    bikou: row.bikou,
+                    kubun: 1
+                }, { transaction: t });
+                if (row.quantity !== 0) {
+                    await recordMovement(record, { type: 'receive', quantity: row.quantity, reason, userId: req.user.id }, t);
+                }
+            }
+
+            await t.commit();
+        } catch (err) {
+            await t.rollback();
+            throw err;
+        }
+
+        res.status(201).json({
+            success: true,
+            imported: preview.rows.length,
+            createdBichikuhins: preview.newBichikuhins.length,
+            createdUnits: preview.newUnits.length
+        });
+    } catch (err) {
+        console.error('Error importing records:', err);
+        res.status(500).json({ error: err.message });
     }
+});
 
+// GET expired records from active stocktaking
+// バッチなどからは records:expiring のAPIキー (X-API-Key ヘッダー) で利用する
+app.get('/api/records/expired', auth.apiKeyOr('records:expiring', authenticateToken), async (req, res) => {
     try {
         const activeStocktaking = await Stocktaking.findOne({ where: { active: true } });
 
@@ -220,14 +729,14 @@ app.get('/api/records/expired', async (req, res) => {
             return res.json([]);
         }
 
-        /* 期限が今日から3ヶ月以内のものを取得 
+        /* 期限が今日から指定期間内のものを取得 (?horizon=6m など、既定は3ヶ月)
         */
-        const today = new Date();
-        const targetDate = new Date();
-        targetDate.setMonth(today.getMonth() + 3);
-
-        // YYYY-MM-DD 形式の文字列に変換
-        const targetDateString = targetDate.toISOString().split('T')[0];
+        let targetDateString;
+        try {
+            targetDateString = parseHorizon(req.query.horizon || process.env.EXPIRED_RECORDS_HORIZON || '3m').date;
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
 
         const records = await StockRecord.findAll({
             where: { 
@@ -248,16 +757,85 @@ app.get('/api/records/expired', async (req, res) => {
     }
 });
 
+// 期限アラート手動実行API (管理者のみ、?dryRun=true で送信せずに内容を確認)
+app.post('/api/alerts/expiry/run', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const result = await runExpiryAlerts({ dryRun: req.query.dryRun === 'true' });
+        res.json(result);
+    } catch (err) {
+        console.error('Expiry alert error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 期限切れ・期限間近の一覧出力API (?format=csv|xlsx&horizon=3m)
+app.get('/api/records/expired/export', auth.apiKeyOr('records:expiring', authenticateToken), async (req, res) => {
+    try {
+        const activeStocktaking = await Stocktaking.findOne({ where: { active: true } });
+        if (!activeStocktaking) {
+            return res.status(404).json({ error: 'Active stocktaking not found' });
+        }
+        let filter;
+        try {
+            filter = await buildRecordFilter(activeStocktaking.id, { ...req.query, taishozumi: 'false', expiry: req.query.horizon || '3m' });
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        filter.order = [['expiry_date', 'ASC'], ...filter.order];
+        const records = await StockRecord.findAll(filter);
+        await sendExport(res, records, {
+            format: req.query.format,
+            filename: `期限間近一覧_${todayString()}`,
+            sheetName: '期限間近一覧'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // 5. 備蓄品データ取得API
-app.get('/api/records/:stocktakingId', authenticateToken, async (req, res) => {
+app.get('/api/records/:stocktakingId', auth.apiKeyOr('records:read', authenticateToken), async (req, res) => {
     try {
         const { stocktakingId } = req.params;
-        const records = await StockRecord.findAll({
-            where: { StocktakingId: stocktakingId, kubun: 1 },
-            include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation],
-            order: [[StorageLocation, 'id', 'ASC'], [Bichikuhin, 'id', 'ASC']]
+        let filter;
+        try {
+            filter = await buildRecordFilter(stocktakingId, req.query);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        const records = await StockRecord.findAll(filter);
+        if (!req.query.groupBy) return res.json(records);
+
+        // ?groupBy=site|building|floor|room の場合は小計を付けて返す
+        if (!locationTree.LEVELS.includes(req.query.groupBy)) {
+            return res.status(400).json({ error: `groupBy must be one of ${locationTree.LEVELS.join(', ')}` });
+        }
+        const locations = await StorageLocation.findAll();
+        res.json({ records, subtotals: buildSubtotals(records, locations, req.query.groupBy) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 棚卸の在庫記録出力API (?format=csv|xlsx と一覧と同じ絞り込み条件)
+app.get('/api/records/:stocktakingId/export', auth.apiKeyOr('records:read', authenticateToken), async (req, res) => {
+    try {
+        const stocktaking = await Stocktaking.findByPk(req.params.stocktakingId);
+        if (!stocktaking) {
+            return res.status(404).json({ error: 'Stocktaking not found' });
+        }
+        let filter;
+        try {
+            filter = await buildRecordFilter(stocktaking.id, req.query);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        const records = await StockRecord.findAll(filter);
+        await sendExport(res, records, {
+            format: req.query.format,
+            filename: `${stocktaking.name}_${stocktaking.date}`,
+            sheetName: stocktaking.name
         });
-        res.json(records);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -270,10 +848,12 @@ app.get('/api/tanaoroshi/records', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'stocktakingId and locationId are required' });
         }
 
+        // 建物・フロアのラベルを読み取った場合は配下の保管場所すべて
+        const locations = await StorageLocation.findAll({ attributes: ['id', 'ParentId'] });
         const records = await StockRecord.findAll({
             where: {
                 StocktakingId: stocktakingId,
-                StorageLocationId: locationId,
+                StorageLocationId: locationTree.descendantIds(locations, locationId),
                 kubun: 1
             },
             include: [
@@ -289,51 +869,1126 @@ app.get('/api/tanaoroshi/records', authenticateToken, async (req, res) => {
     }
 });
 
-// 6. マスターデータ取得（フロントエンドのセレクトボックス用）
-app.get('/api/masters', authenticateToken, async (req, res) => {
-    const locations = await StorageLocation.findAll();
-    const units = await Unit.findAll();
-    res.json({ locations, units });
-});
-
-// 7. 新規登録/更新API
-const recordHandler = async (req, res) => {
+// 棚卸モードのラベル読み取りAPI
+/* LOC:<保管場所ID> なら保管場所、LOT:<ロット番号> なら指定の棚卸の在庫記録を返します。
+*/
+app.get('/api/tanaoroshi/lookup', authenticateToken, async (req, res) => {
     try {
-        const { id, bichikuhinId, locationId, quantity, expiryDate, stocktakingId, taishozumi, bikou } = req.body;
-        if (id) {
-            // 更新
-            await StockRecord.update(
-                { BichikuhinId: bichikuhinId, StorageLocationId: locationId, quantity, expiry_date: expiryDate, StocktakingId: stocktakingId, taishozumi, bikou },
-                { where: { id: id, kubun: 1 } }
-            );
-        } else {
-            // 新規作成
-            await StockRecord.create({
-                BichikuhinId: bichikuhinId,
-                StorageLocationId: locationId,
-                quantity,
-                expiry_date: expiryDate,
-                StocktakingId: stocktakingId,
-                taishozumi,
-                bikou,
-                kubun: 1
-            });
+        const { stocktakingId, code } = req.query;
+        if (!stocktakingId || !code) {
+            return res.status(400).json({ error: 'stocktakingId and code are required' });
         }
-        res.json({ success: true });
+        const scanned = labels.parseScanCode(code);
+        if (!scanned) {
+            return res.status(400).json({ error: 'Unknown label code' });
+        }
+
+        if (scanned.type === 'location') {
+            const location = await StorageLocation.findByPk(scanned.value);
+            if (!location) return res.status(404).json({ error: 'Location not found' });
+            return res.json({ type: 'location', location });
+        }
+
+        const record = await StockRecord.findOne({
+            where: { StocktakingId: stocktakingId, lot_code: scanned.value, kubun: 1 },
+            include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation]
+        });
+        if (!record) return res.status(404).json({ error: 'Lot not found in this stocktaking' });
+        res.json({ type: 'record', record });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
-};
+});
 
-app.post('/api/records', authenticateToken, recordHandler);
-app.put('/api/records', authenticateToken, recordHandler);
+// 棚卸モードの数量入力API (差分を棚卸の調整として記録する)
+app.post('/api/tanaoroshi/records/:id/count', authenticateToken, canEdit, async (req, res) => {
+    const counted = Number(req.body.quantity);
+    if (!Number.isInteger(counted) || counted < 0) {
+        return res.status(400).json({ error: 'Quantity must be a non-negative integer' });
+    }
 
-app.delete('/api/records/:id', authenticateToken, async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+        const record = await StockRecord.findOne({ where: { id: req.params.id, kubun: 1 }, transaction: t });
+        if (!record) {
+            await t.rollback();
+            return res.status(404).json({ error: 'Record not found' });
+        }
+        if (await isStocktakingLocked(record.StocktakingId, t)) {
+            await t.rollback();
+            return res.status(409).json(LOCKED_ERROR);
+        }
+
+        await applyCount(record, counted, { userId: req.user.id }, t);
+        await t.commit();
+        res.json({ success: true, quantity: record.quantity });
+    } catch (err) {
+        await t.rollback();
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// オフライン棚卸用のダウンロードAPI
+/* 棚卸の全在庫記録と保管場所をまとめて返します。端末側で保存し、電波の届かない場所でも入力できるようにします。
+   各記録の updatedAt は、同期時の競合チェックの基準になります。
+*/
+app.get('/api/tanaoroshi/offline', authenticateToken, async (req, res) => {
+    try {
+        const { stocktakingId } = req.query;
+        if (!stocktakingId) return res.status(400).json({ error: 'stocktakingId is required' });
+
+        const stocktaking = await Stocktaking.findByPk(stocktakingId);
+        if (!stocktaking) return res.status(404).json({ error: 'Stocktaking not found' });
+
+        const allLocations = await StorageLocation.findAll({ order: [['id', 'ASC']] });
+        const locations = locationTree.withPaths(allLocations).filter(location => !location.retired);
+        const records = await StockRecord.findAll({
+            where: { StocktakingId: stocktakingId, kubun: 1 },
+            include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation],
+            order: [['entry_timestamp', 'DESC']]
+        });
+
+        // ログイン中のユーザーに割り当てられた範囲 (建物・フロアなど) の保管場所ID
+        const assignments = await StocktakingAssignment.findAll({ where: { StocktakingId: stocktakingId, UserId: req.user.id } });
+        const assignedLocationIds = [...new Set(assignments.flatMap(a => locationTree.descendantIds(allLocations, a.StorageLocationId)))];
+
+        res.json({ stocktaking, locations, records, assignedLocationIds, downloadedAt: new Date() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// オフライン棚卸の同期API
+/* changes: [{ recordId, quantity, baseQuantity, baseUpdatedAt, countedAt, force }]
+   ダウンロード後に他の端末や一覧画面で記録が変更されていれば、上書きせずに conflict として返します。
+   force: true の変更は競合を確認済みとして、そのまま反映します。
+   変更は1件ずつ反映するため、一部が競合しても残りは反映されます。
+*/
+app.post('/api/tanaoroshi/sync', authenticateToken, canEdit, async (req, res) => {
+    const { stocktakingId, changes } = req.body;
+    if (!stocktakingId || !Array.isArray(changes)) {
+        return res.status(400).json({ error: 'stocktakingId and changes are required' });
+    }
+
+    try {
+        if (await isStocktakingLocked(stocktakingId)) {
+            return res.status(409).json(LOCKED_ERROR);
+        }
+
+        const results = [];
+        for (const change of changes) {
+            const counted = Number(change.quantity);
+            if (!Number.isInteger(counted) || counted < 0) {
+                results.push({ recordId: change.recordId, status: 'error', error: 'Quantity must be a non-negative integer' });
+                continue;
+            }
+
+            const t = await sequelize.transaction();
+            try {
+                const record = await StockRecord.findOne({
+                    where: { id: change.recordId, StocktakingId: stocktakingId },
+                    include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation],
+                    transaction: t
+                });
+                if (!record) {
+                    await t.rollback();
+                    results.push({ recordId: change.recordId, status: 'error', error: 'Record not found' });
+                    continue;
+                }
+                if (record.kubun !== 1) {
+                    await t.rollback();
+                    results.push({ recordId: change.recordId, status: 'conflict', reason: 'deleted', record });
+                    continue;
+                }
+
+                const changedSinceDownload = !change.baseUpdatedAt
+                    || toSeconds(record.updatedAt) > toSeconds(change.baseUpdatedAt)
+                    || record.quantity !== Number(change.baseQuantity);
+                if (changedSinceDownload && !change.force) {
+                    await t.rollback();
+                    results.push({ recordId: change.recordId, status: 'conflict', reason: 'updated', record });
+                    continue;
+                }
+
+                const countedAt = change.countedAt ? new Date(change.countedAt) : null;
+                await applyCount(record, counted, {
+                    userId: req.user.id,
+                    reason: change.force ? '棚卸 (競合を確認して上書き)' : '棚卸',
+                    timestamp: countedAt && !isNaN(countedAt) ? countedAt : undefined
+                }, t);
+                await t.commit();
+                await record.reload();
+                results.push({ recordId: change.recordId, status: 'applied', record });
+            } catch (err) {
+                await t.rollback();
+                results.push({ recordId: change.recordId, status: 'error', error: err.message });
+            }
+        }
+        res.json({ results });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 6. マスターデータ取得（フロントエンドのセレクトボックス用、使用停止分は除く）
+app.get('/api/masters', authenticateToken, async (req, res) => {
+    // 表示名 (path) は使用停止した上位の階層も含めて組み立てる
+    const allLocations = await StorageLocation.findAll({ order: [['id', 'ASC']] });
+    const locations = locationTree.withPaths(allLocations).filter(location => !location.retired);
+    const units = await Unit.findAll({ where: { retired: false } });
+    res.json({ locations, units, levels: locationTree.LEVEL_LABELS });
+});
+
+// --- マスター管理API (管理者のみ) ---
+/* 備蓄品・単位・保管場所の一覧 / 登録 / 更新 / 使用停止 / 再開 / 削除を登録します。
+   使用停止したマスターは選択肢に表示されませんが、過去の在庫記録からは引き続き参照されます。
+   他のデータから参照されているマスターは削除できないため、使用停止を使います。
+*/
+const registerMasterRoutes = (resource, Model, { fields, createOnlyFields = {}, required, include = [], order, findUsage, validate }) => {
+    const toValues = (body, fieldMap) => {
+        const values = {};
+        for (const [key, column] of Object.entries(fieldMap)) {
+            if (body[key] !== undefined) values[column] = body[key] === '' ? null : body[key];
+        }
+        return values;
+    };
+
+    app.get(`/api/masters/${resource}`, authenticateToken, isAdmin, async (req, res) => {
+        try {
+            res.json(await Model.findAll({ include, order }));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.post(`/api/masters/${resource}`, authenticateToken, isAdmin, async (req, res) => {
+        try {
+            const values = toValues(req.body, { ...createOnlyFields, ...fields });
+            const missing = required.filter(column => !values[column]);
+            if (missing.length > 0) {
+                return res.status(400).json({ error: `${missing.join(', ')} is required` });
+            }
+            const invalid = validate ? await validate(values, null) : null;
+            if (invalid) return res.status(400).json({ error: invalid });
+            const item = await Model.create(values);
+            res.status(201).json(await Model.findByPk(item.id, { include }));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    app.put(`/api/masters/${resource}/:id`, authenticateToken, isAdmin, async (req, res) => {
+        try {
+            const item = await Model.findByPk(req.params.id);
+            if (!item) return res.status(404).json({ error: 'Not found' });
+            const values = toValues(req.body, fields);
+            if (required.some(column => column in values && !values[column])) {
+                return res.status(400).json({ error: `${required.join(', ')} must not be empty` });
+            }
+            const invalid = validate ? await validate(values, item) : null;
+            if (invalid) return res.status(400).json({ error: invalid });
+            await item.update(values);
+            res.json(await Model.findByPk(item.id, { include }));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    for (const [action, retired] of [['retire', true], ['restore', false]]) {
+        app.post(`/api/masters/${resource}/:id/${action}`, authenticateToken, isAdmin, async (req, res) => {
+            try {
+                const item = await Model.findByPk(req.params.id);
+                if (!item) return res.status(404).json({ error: 'Not found' });
+                await item.update({ retired });
+                res.json(item);
+            } catch (err) {
+                res.status(500).json({ error: err.message });
+            }
+        });
+    }
+
+    app.delete(`/api/masters/${resource}/:id`, authenticateToken, isAdmin, async (req, res) => {
+        try {
+            const item = await Model.findByPk(req.params.id);
+            if (!item) return res.status(404).json({ error: 'Not found' });
+            const usage = await findUsage(item.id);
+            if (usage) {
+                return res.status(409).json({ error: `${usage}. Retire it instead.` });
+            }
+            await item.destroy();
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+};
+
+// 数値の項目は空 (未設定) か0以上の数値であること
+const findNegative = (values, columns) => columns.find(column =>
+    values[column] !== undefined && values[column] !== null && !(Number(values[column]) >= 0));
+
+registerMasterRoutes('bichikuhin', Bichikuhin, {
+    fields: {
+        name: 'name',
+        unitId: 'UnitId',
+        categoryId: 'BichikuhinCategoryId',
+        consumptionFactor: 'consumption_factor',
+        unitPrice: 'unit_price',
+        shelfLifeMonths: 'shelf_life_months'
+    },
+    required: ['name'],
+    include: [Unit, BichikuhinCategory],
+    order: [['name', 'ASC']],
+    validate: async (values) => {
+        const column = findNegative(values, ['consumption_factor', 'unit_price', 'shelf_life_months']);
+        return column ? `${column} must be a non-negative number` : null;
+    },
+    findUsage: async (id) => {
+        const records = await StockRecord.count({ where: { BichikuhinId: id } });
+        if (records > 0) return `Used by ${records} stock records`;
+        const targets = await StockTarget.count({ where: { BichikuhinId: id } });
+        if (targets > 0) return `Used by ${targets} stock targets`;
+        return null;
+    }
+});
+
+// 分類の daily_need (1人1日あたりの必要量) は充足日数の計算に使う
+registerMasterRoutes('categories', BichikuhinCategory, {
+    fields: { name: 'name', needUnit: 'need_unit', dailyNeed: 'daily_need' },
+    required: ['name'],
+    order: [['id', 'ASC']],
+    validate: async (values) => (findNegative(values, ['daily_need']) ? 'daily_need must be a non-negative number' : null),
+    findUsage: async (id) => {
+        const items = await Bichikuhin.count({ where: { BichikuhinCategoryId: id } });
+        return items > 0 ? `Used by ${items} items` : null;
+    }
+});
+
+registerMasterRoutes('units', Unit, {
+    fields: { name: 'name' },
+    required: ['name'],
+    order: [['id', 'ASC']],
+    findUsage: async (id) => {
+        const items = await Bichikuhin.count({ where: { UnitId: id } });
+        return items > 0 ? `Used by ${items} items` : null;
+    }
+});
+
+// 保管場所IDは「101 → 1-1」のように表示に使われるため、登録時のみ指定できる
+registerMasterRoutes('locations', StorageLocation, {
+    fields: { name: 'name', ryakushou: 'ryakushou', level: 'level', parentId: 'ParentId', headcount: 'headcount' },
+    createOnlyFields: { id: 'id' },
+    required: ['name', 'ryakushou'],
+    order: [['id', 'ASC']],
+    validate: async (values, item) => {
+        if (findNegative(values, ['headcount']) || (values.headcount && !Number.isInteger(Number(values.headcount)))) {
+            return 'headcount must be a non-negative integer';
+        }
+        const locations = await StorageLocation.findAll({ attributes: ['id', 'name', 'level', 'ParentId'] });
+        return locationTree.validatePlacement(locations, {
+            id: item ? item.id : null,
+            level: values.level || (item ? item.level : 'room'),
+            parentId: 'ParentId' in values ? values.ParentId : (item ? item.ParentId : null)
+        });
+    },
+    findUsage: async (id) => {
+        const children = await StorageLocation.count({ where: { ParentId: id } });
+        if (children > 0) return `Has ${children} child locations`;
+        const records = await StockRecord.count({ where: { StorageLocationId: id } });
+        if (records > 0) return `Used by ${records} stock records`;
+        const targets = await StockTarget.count({ where: { StorageLocationId: id } });
+        if (targets > 0) return `Used by ${targets} stock targets`;
+        const assignments = await StocktakingAssignment.count({ where: { StorageLocationId: id } });
+        if (assignments > 0) return `Used by ${assignments} stocktaking assignments`;
+        return null;
+    }
+});
+
+// 備蓄品の統合API (管理者のみ)
+/* :id の備蓄品を intoId の備蓄品に統合します。在庫記録はすべて intoId に付け替え、
+   目標在庫は統合先に同じ保管場所の設定がなければ付け替え、あれば統合先を残します。
+   単位が異なる場合は force=true の指定が必要です。
+*/
+app.post('/api/masters/bichikuhin/:id/merge', authenticateToken, isAdmin, async (req, res) => {
+    const { intoId, force } = req.body;
+    if (!intoId || Number(intoId) === Number(req.params.id)) {
+        return res.status(400).json({ error: 'intoId must be a different item' });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const source = await Bichikuhin.findByPk(req.params.id, { transaction: t });
+        const destination = await Bichikuhin.findByPk(intoId, { transaction: t });
+        if (!source || !destination) {
+            await t.rollback();
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        if (source.UnitId !== destination.UnitId && !force) {
+            await t.rollback();
+            return res.status(409).json({ error: 'Units differ. Pass force=true to merge anyway.' });
+        }
+
+        const [movedRecords] = await StockRecord.update(
+            { BichikuhinId: destination.id },
+            { where: { BichikuhinId: source.id }, individualHooks: true, transaction: t }
+        );
+
+        const sourceTargets = await StockTarget.findAll({ where: { BichikuhinId: source.id }, transaction: t });
+        for (const target of sourceTargets) {
+            const exists = await StockTarget.count({
+                where: { BichikuhinId: destination.id, StorageLocationId: target.StorageLocationId },
+                transaction: t
+            });
+            if (exists > 0) {
+                await target.destroy({ transaction: t });
+            } else {
+                await target.update({ BichikuhinId: destination.id }, { transaction: t });
+            }
+        }
+
+        await source.destroy({ transaction: t });
+        await t.commit();
+        res.json({ success: true, movedRecords });
+    } catch (err) {
+        await t.rollback();
+        console.error('Error merging items:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 目標在庫取得API
+app.get('/api/targets', authenticateToken, async (req, res) => {
+    try {
+        const targets = await StockTarget.findAll({
+            include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation],
+            order: [[StorageLocation, 'id', 'ASC'], [Bichikuhin, 'id', 'ASC']]
+        });
+        res.json(targets.map(target => ({ ...target.toJSON(), effective_quantity: effectiveTarget(target) })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 目標在庫登録/更新API (備蓄品 × 保管場所ごとに1件)
+app.put('/api/targets', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const { bichikuhinId, locationId, targetQuantity, headcount, perPersonPerDay, days } = req.body;
+        if (!bichikuhinId || !locationId) {
+            return res.status(400).json({ error: 'bichikuhinId and locationId are required' });
+        }
+        // 在庫は部屋にしか置けないため、目標も部屋ごとに設定する
+        if (!await isRoomLocation(locationId)) {
+            return res.status(400).json({ error: 'Targets can only be set on a room' });
+        }
+        const toNumber = (value) => (value === '' || value === null || value === undefined) ? null : Number(value);
+        const values = {
+            target_quantity: toNumber(targetQuantity),
+            headcount: toNumber(headcount),
+            per_person_per_day: toNumber(perPersonPerDay),
+            days: toNumber(days)
+        };
+        const invalid = Object.keys(values).find(key => values[key] !== null && !(Number.isFinite(values[key]) && values[key] >= 0));
+        if (invalid) {
+            return res.status(400).json({ error: `${invalid} must be a non-negative number` });
+        }
+        if (values.target_quantity === null && !(values.headcount && values.per_person_per_day && values.days)) {
+            return res.status(400).json({ error: 'Either targetQuantity or headcount, perPersonPerDay and days are required' });
+        }
+
+        const [target] = await StockTarget.findOrCreate({
+            where: { BichikuhinId: bichikuhinId, StorageLocationId: locationId },
+            defaults: values
+        });
+        await target.update(values);
+        res.json({ ...target.toJSON(), effective_quantity: effectiveTarget(target) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/targets/:id', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const deleted = await StockTarget.destroy({ where: { id: req.params.id } });
+        if (deleted > 0) {
+            res.json({ success: true });
+        } else {
+            res.status(404).json({ error: 'Target not found' });
+        }
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 不足レポートAPI
+/* 目標数量と、棚卸 (省略時は現在の棚卸) の期限切れでない未対処の数量を比較します。
+*/
+app.get('/api/reports/shortage', authenticateToken, async (req, res) => {
+    try {
+        const stocktaking = req.query.stocktakingId
+            ? await Stocktaking.findByPk(req.query.stocktakingId)
+            : await Stocktaking.findOne({ where: { active: true } });
+        if (!stocktaking) {
+            return res.status(404).json({ error: 'Stocktaking not found' });
+        }
+
+        const targets = await StockTarget.findAll({
+            include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation],
+            order: [[StorageLocation, 'id', 'ASC'], [Bichikuhin, 'id', 'ASC']]
+        });
+
+        const records = await StockRecord.findAll({
+            attributes: ['BichikuhinId', 'StorageLocationId', [sequelize.fn('SUM', sequelize.col('quantity')), 'available']],
+            where: {
+                StocktakingId: stocktaking.id,
+                kubun: 1,
+                taishozumi: false,
+                [Op.or]: [{ expiry_date: null }, { expiry_date: { [Op.gte]: todayString() } }]
+            },
+            group: ['BichikuhinId', 'StorageLocationId'],
+            raw: true
+        });
+        const available = new Map(records.map(r => [`${r.BichikuhinId}-${r.StorageLocationId}`, Number(r.available) || 0]));
+
+        const rows = targets.map(target => {
+            const targetQuantity = effectiveTarget(target);
+            const availableQuantity = available.get(`${target.BichikuhinId}-${target.StorageLocationId}`) || 0;
+            return {
+                id: target.id,
+                bichikuhin: target.Bichikuhin,
+                location: target.StorageLocation,
+                headcount: target.headcount,
+                per_person_per_day: target.per_person_per_day,
+                days: target.days,
+                target: targetQuantity,
+                available: availableQuantity,
+                shortage: Math.max(0, targetQuantity - availableQuantity)
+            };
+        });
+
+        res.json({ stocktaking, rows });
+    } catch (err) {
+        console.error('Error building shortage report:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 更新計画 (買い替え予算) の試算API
+/* 現在の棚卸の消費期限と目標在庫から、今年度から ?years= 年度分 (既定5年度) の購入数量と金額を試算します。
+   試算の方法は lib/replacementForecast.js を参照してください。
+*/
+const FORECAST_YEARS = 5;
+
+const loadReplacementForecast = async (query) => {
+    const stocktaking = await Stocktaking.findOne({ where: { active: true } });
+    if (!stocktaking) return null;
+
+    const years = Math.min(Math.max(parseInt(query.years, 10) || FORECAST_YEARS, 1), 10);
+    const [bichikuhins, records, targets] = await Promise.all([
+        Bichikuhin.findAll({ where: { retired: false }, include: [Unit], order: [['name', 'ASC']] }),
+        StockRecord.findAll({ where: { StocktakingId: stocktaking.id, kubun: 1, taishozumi: false } }),
+        StockTarget.findAll()
+    ]);
+
+    const targetTotals = new Map();
+    for (const target of targets) {
+        targetTotals.set(target.BichikuhinId, (targetTotals.get(target.BichikuhinId) || 0) + effectiveTarget(target));
+    }
+
+    return {
+        stocktaking,
+        ...buildForecast({
+            bichikuhins,
+            records,
+            targets: targetTotals,
+            startFiscalYear: fiscalYearOf(todayString()),
+            years
+        })
+    };
+};
+
+app.get('/api/reports/replacement_forecast', authenticateToken, async (req, res) => {
+    try {
+        const forecast = await loadReplacementForecast(req.query);
+        if (!forecast) return res.status(404).json({ error: 'No active stocktaking' });
+        res.json(forecast);
+    } catch (err) {
+        console.error('Error building replacement forecast:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 更新計画の出力API (?format=csv|xlsx、品目ごとに年度別の購入数量と金額を並べる)
+app.get('/api/reports/replacement_forecast/export', authenticateToken, async (req, res) => {
+    try {
+        const forecast = await loadReplacementForecast(req.query);
+        if (!forecast) return res.status(404).json({ error: 'No active stocktaking' });
+
+        const columns = [
+            { header: '品名', key: 'name', width: 32 },
+            { header: '単位', key: 'unit', width: 8 },
+            { header: '単価', key: 'unitPrice', width: 10 },
+            { header: '目標数量', key: 'target', width: 10 },
+            { header: '現在数量', key: 'currentStock', width: 10 }
+        ];
+        for (const year of forecast.fiscalYears) {
+            columns.push({ header: `${year}年度 期限`, key: `expiring${year}`, width: 12 });
+            columns.push({ header: `${year}年度 購入`, key: `purchase${year}`, width: 12 });
+            columns.push({ header: `${year}年度 金額`, key: `cost${year}`, width: 14 });
+        }
+
+        const rows = forecast.items.map(item => {
+            const row = {
+                name: item.name,
+                unit: item.unit,
+                unitPrice: item.unitPrice ?? '',
+                target: item.target,
+                currentStock: item.currentStock
+            };
+            for (const year of item.years) {
+                row[`expiring${year.fiscalYear}`] = year.expiring;
+                row[`purchase${year.fiscalYear}`] = year.purchase;
+                row[`cost${year.fiscalYear}`] = year.cost ?? '';
+            }
+            return row;
+        });
+        const totalRow = { name: '合計' };
+        forecast.totals.forEach(total => { totalRow[`cost${total.fiscalYear}`] = total.cost; });
+        rows.push(totalRow);
+
+        const first = forecast.fiscalYears[0];
+        const last = forecast.fiscalYears[forecast.fiscalYears.length - 1];
+        await sendTable(res, columns, rows, {
+            format: req.query.format,
+            filename: `更新計画_${first}-${last}年度`,
+            sheetName: '更新計画'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 充足日数API
+/* 現在の棚卸の期限切れでない未対処の在庫から、分類ごとに何日分まかなえるかを計算します。
+   ?level= で集計する階層 (既定は敷地) を指定します。計算方法は lib/sufficiency.js を参照してください。
+*/
+app.get('/api/reports/sufficiency', authenticateToken, async (req, res) => {
+    try {
+        const level = req.query.level || 'site';
+        if (!locationTree.LEVELS.includes(level)) {
+            return res.status(400).json({ error: `level must be one of ${locationTree.LEVELS.join(', ')}` });
+        }
+        const stocktaking = await Stocktaking.findOne({ where: { active: true } });
+        if (!stocktaking) return res.status(404).json({ error: 'No active stocktaking' });
+
+        const [locations, categories, records] = await Promise.all([
+            StorageLocation.findAll({ order: [['id', 'ASC']] }),
+            BichikuhinCategory.findAll({ where: { retired: false }, order: [['id', 'ASC']] }),
+            StockRecord.findAll({
+                where: {
+                    StocktakingId: stocktaking.id,
+                    kubun: 1,
+                    taishozumi: false,
+                    [Op.or]: [{ expiry_date: null }, { expiry_date: { [Op.gte]: todayString() } }]
+                },
+                include: [Bichikuhin]
+            })
+        ]);
+
+        res.json({ stocktaking, asOf: todayString(), ...buildSufficiency({ locations, records, categories, level }) });
+    } catch (err) {
+        console.error('Error building sufficiency report:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 7. 新規登録/更新API
+/* 数量は直接上書きせず、差分を入出庫履歴として記録します。
+   新規登録時は receive、更新時は adjust として扱います。
+*/
+const recordHandler = async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+        const { id, bichikuhinId, locationId, quantity, expiryDate, stocktakingId, bikou, reason } = req.body;
+        const newQuantity = (quantity === undefined || quantity === null || String(quantity).trim() === '') ? NaN : Number(quantity);
+        if (!Number.isInteger(newQuantity) || newQuantity < 0) {
+            await t.rollback();
+            return res.status(400).json({ error: 'Quantity must be a non-negative integer' });
+        }
+        if (!await isRoomLocation(locationId, t)) {
+            await t.rollback();
+            return res.status(400).json({ error: 'locationId must be a room' });
+        }
+
+        if (id) {
+            // 更新
+            const record = await StockRecord.findOne({ where: { id: id, kubun: 1 }, transaction: t });
+            if (!record) {
+                await t.rollback();
+                return res.status(404).json({ error: 'Record not found' });
+            }
+            if (await isStocktakingLocked(record.StocktakingId, t) || await isStocktakingLocked(stocktakingId, t)) {
+                await t.rollback();
+                return res.status(409).json(LOCKED_ERROR);
+            }
+            const delta = newQuantity - record.quantity;
+            // 対処済みは対処記録 (/api/records/:id/disposals) からのみ変更する
+            await record.update(
+                { BichikuhinId: bichikuhinId, StorageLocationId: locationId, expiry_date: expiryDate, StocktakingId: stocktakingId, bikou },
+                { transaction: t }
+            );
+            if (delta !== 0) {
+                await recordMovement(record, { type: 'adjust', quantity: delta, reason: reason || '数量修正', userId: req.user.id }, t);
+            }
+        } else {
+            // 新規作成
+            if (await isStocktakingLocked(stocktakingId, t)) {
+                await t.rollback();
+                return res.status(409).json(LOCKED_ERROR);
+            }
+            const record = await StockRecord.create({
+                BichikuhinId: bichikuhinId,
+                StorageLocationId: locationId,
+                quantity: 0,
+                expiry_date: expiryDate,
+                StocktakingId: stocktakingId,
+                taishozumi: false,
+                bikou,
+                kubun: 1
+            }, { transaction: t });
+            if (newQuantity !== 0) {
+                await recordMovement(record, { type: 'receive', quantity: newQuantity, reason: reason || '新規登録', userId: req.user.id }, t);
+            }
+        }
+        await t.commit();
+        res.json({ success: true });
+    } catch (err) {
+        await t.rollback();
+        res.status(500).json({ error: err.message });
+    }
+};
+
+app.post('/api/records', authenticateToken, canEdit, recordHandler);
+app.put('/api/records', authenticateToken, canEdit, recordHandler);
+
+// 入出庫履歴取得API
+app.get('/api/records/:id/movements', authenticateToken, async (req, res) => {
+    try {
+        const movements = await StockMovement.findAll({
+            where: { StockRecordId: req.params.id },
+            include: [
+                { model: User, attributes: ['id', 'name', 'name_jp'] },
+                { model: StockRecord, as: 'RelatedStockRecord', include: [StorageLocation] }
+            ],
+            order: [['movement_timestamp', 'ASC'], ['id', 'ASC']]
+        });
+        res.json(movements);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 入出庫登録API
+/* quantity は常に正の数で指定します (adjust のみ増減値を符号付きで指定)。
+   transfer の場合は toLocationId で移動先の保管場所を指定し、
+   同じ棚卸・備蓄品・消費期限の移動先レコードがなければ作成します。
+*/
+app.post('/api/records/:id/movements', authenticateToken, canEdit, async (req, res) => {
+    const { type, quantity, reason, toLocationId, timestamp } = req.body;
+    const amount = Number(quantity);
+
+    if (!MOVEMENT_TYPES.includes(type)) {
+        return res.status(400).json({ error: 'Invalid movement type' });
+    }
+    if (!Number.isInteger(amount) || amount === 0 || (type !== 'adjust' && amount < 0)) {
+        return res.status(400).json({ error: 'Quantity must be a non-zero integer' });
+    }
+    if (type === 'transfer' && !toLocationId) {
+        return res.status(400).json({ error: 'toLocationId is required for transfer' });
+    }
+    // 日時は省略時は現在。未来の日時は履歴の順序が崩れるため受け付けない
+    const movedAt = (timestamp === undefined || timestamp === null || timestamp === '') ? new Date() : new Date(timestamp);
+    if (isNaN(movedAt)) {
+        return res.status(400).json({ error: 'timestamp must be a valid date' });
+    }
+    if (movedAt > new Date()) {
+        return res.status(400).json({ error: 'timestamp cannot be in the future' });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const record = await StockRecord.findOne({ where: { id: req.params.id, kubun: 1 }, transaction: t });
+        if (!record) {
+            await t.rollback();
+            return res.status(404).json({ error: 'Record not found' });
+        }
+
+        if (await isStocktakingLocked(record.StocktakingId, t)) {
+            await t.rollback();
+            return res.status(409).json(LOCKED_ERROR);
+        }
+
+        const delta = type === 'adjust' ? amount : amount * MOVEMENT_SIGNS[type];
+        if (record.quantity + delta < 0) {
+            await t.rollback();
+            return res.status(400).json({ error: 'Quantity would become negative' });
+        }
+
+        const userId = req.user.id;
+        let target = null;
+        if (type === 'transfer') {
+            if (Number(toLocationId) === record.StorageLocationId) {
+                await t.rollback();
+                return res.status(400).json({ error: 'Transfer destination must differ from the source location' });
+            }
+            if (!await isRoomLocation(toLocationId, t)) {
+                await t.rollback();
+                return res.status(400).json({ error: 'Transfer destination must be a room' });
+            }
+            [target] = await StockRecord.findOrCreate({
+                where: {
+                    StocktakingId: record.StocktakingId,
+                    BichikuhinId: record.BichikuhinId,
+                    StorageLocationId: toLocationId,
+                    expiry_date: record.expiry_date,
+                    kubun: 1
+                },
+                defaults: { quantity: 0, bikou: record.bikou, taishozumi: record.taishozumi },
+                transaction: t
+            });
+        }
+
+        const movement = await recordMovement(record, {
+            type,
+            quantity: delta,
+            reason,
+            userId,
+            relatedRecordId: target ? target.id : null,
+            timestamp: movedAt
+        }, t);
+
+        if (target) {
+            await recordMovement(target, {
+                type,
+                quantity: -delta,
+                reason,
+                userId,
+                relatedRecordId: record.id,
+                timestamp: movedAt
+            }, t);
+        }
+
+        await t.commit();
+        res.status(201).json({ movement, quantity: record.quantity, targetRecordId: target ? target.id : null });
+    } catch (err) {
+        await t.rollback();
+        console.error('Error recording movement:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 棚卸の担当割り当てAPI
+/* 建物・フロアなど任意の階層の保管場所に担当者を割り当てます。
+   棚卸モードでは、担当者には割り当てられた範囲の保管場所だけが表示されます。
+*/
+app.get('/api/stocktakings/:id/assignments', authenticateToken, async (req, res) => {
+    try {
+        const assignments = await StocktakingAssignment.findAll({
+            where: { StocktakingId: req.params.id },
+            include: [StorageLocation, { model: User, attributes: ['id', 'name', 'name_jp'] }],
+            order: [['StorageLocationId', 'ASC'], ['id', 'ASC']]
+        });
+        res.json(assignments);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/stocktakings/:id/assignments', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const { locationId, userId } = req.body;
+        if (!locationId || !userId) {
+            return res.status(400).json({ error: 'locationId and userId are required' });
+        }
+        const stocktaking = await Stocktaking.findByPk(req.params.id);
+        if (!stocktaking) return res.status(404).json({ error: 'Stocktaking not found' });
+        if (stocktaking.status === 'finalized') return res.status(409).json(LOCKED_ERROR);
+
+        const [assignment] = await StocktakingAssignment.findOrCreate({
+            where: { StocktakingId: stocktaking.id, StorageLocationId: locationId, UserId: userId }
+        });
+        res.status(201).json(assignment);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/stocktakings/:id/assignments/:assignmentId', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const deleted = await StocktakingAssignment.destroy({
+            where: { id: req.params.assignmentId, StocktakingId: req.params.id }
+        });
+        if (!deleted) return res.status(404).json({ error: 'Assignment not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 棚卸単位の入出庫履歴一覧API
+app.get('/api/movements', authenticateToken, async (req, res) => {
+    try {
+        const { stocktakingId, type, from, to } = req.query;
+        if (!stocktakingId) {
+            return res.status(400).json({ error: 'stocktakingId is required' });
+        }
+
+        const where = {};
+        if (type) where.movement_type = type;
+        if (from || to) {
+            where.movement_timestamp = {};
+            if (from) where.movement_timestamp[Op.gte] = new Date(from);
+            if (to) where.movement_timestamp[Op.lte] = new Date(`${to}T23:59:59`);
+        }
+
+        const movements = await StockMovement.findAll({
+            where,
+            include: [
+                {
+                    model: StockRecord,
+                    where: { StocktakingId: stocktakingId },
+                    include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation]
+                },
+                { model: User, attributes: ['id', 'name', 'name_jp'] }
+            ],
+            order: [['movement_timestamp', 'DESC'], ['id', 'DESC']]
+        });
+        res.json(movements);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 対処記録の一覧API
+app.get('/api/records/:id/disposals', authenticateToken, async (req, res) => {
+    try {
+        const disposals = await StockDisposal.findAll({
+            where: { StockRecordId: req.params.id },
+            include: [{ model: User, attributes: ['id', 'name', 'name_jp'] }],
+            order: [['disposal_date', 'DESC'], ['id', 'DESC']]
+        });
+        res.json(disposals);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 対処記録の登録API
+/* 指定した数量を在庫から払い出し、対処の内容を記録します。
+   complete: true、または払出後の数量が0になった場合、ロットを対処済みにします。
+   (数量0で complete: true とすると、払出なしで対処済みにできます)
+*/
+app.post('/api/records/:id/disposals', authenticateToken, canEdit, async (req, res) => {
+    const { action, quantity, recipient, date, note, complete } = req.body;
+    const amount = Number(quantity);
+
+    if (!DISPOSAL_ACTIONS[action]) {
+        return res.status(400).json({ error: 'Invalid disposal action' });
+    }
+    if (!Number.isInteger(amount) || amount < 0 || (amount === 0 && !complete)) {
+        return res.status(400).json({ error: 'Quantity must be a positive integer' });
+    }
+    if (action === 'donation' && !recipient) {
+        return res.status(400).json({ error: 'Recipient is required for donations' });
+    }
+    const disposalDate = date || todayString();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(disposalDate)) {
+        return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const record = await StockRecord.findOne({ where: { id: req.params.id, kubun: 1 }, transaction: t });
+        if (!record) {
+            await t.rollback();
+            return res.status(404).json({ error: 'Record not found' });
+        }
+        if (await isStocktakingLocked(record.StocktakingId, t)) {
+            await t.rollback();
+            return res.status(409).json(LOCKED_ERROR);
+        }
+        if (amount > record.quantity) {
+            await t.rollback();
+            return res.status(400).json({ error: 'Quantity exceeds the stock of this lot' });
+        }
+
+        const { label, movementType } = DISPOSAL_ACTIONS[action];
+        let movement = null;
+        if (amount > 0) {
+            movement = await recordMovement(record, {
+                type: movementType,
+                quantity: -amount,
+                reason: recipient ? `${label} (${recipient})` : label,
+                userId: req.user.id,
+                timestamp: disposalDate === todayString() ? undefined : new Date(`${disposalDate}T00:00:00`)
+            }, t);
+        }
+
+        const disposal = await StockDisposal.create({
+            StockRecordId: record.id,
+            StockMovementId: movement ? movement.id : null,
+            UserId: req.user.id,
+            action,
+            quantity: amount,
+            recipient: recipient || null,
+            disposal_date: disposalDate,
+            note: note || null,
+            completes_lot: Boolean(complete) || record.quantity === 0
+        }, { transaction: t });
+
+        if (complete || record.quantity === 0) {
+            await record.update({ taishozumi: true }, { transaction: t });
+        }
+
+        await t.commit();
+        res.status(201).json({ disposal, quantity: record.quantity, taishozumi: record.taishozumi });
+    } catch (err) {
+        await t.rollback();
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 対処記録の詳細API (証明書の印刷用)
+app.get('/api/disposals/:id', authenticateToken, async (req, res) => {
+    try {
+        const disposal = await StockDisposal.findByPk(req.params.id, {
+            include: [
+                {
+                    model: StockRecord,
+                    include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation, Stocktaking]
+                },
+                { model: User, attributes: ['id', 'name', 'name_jp'] }
+            ]
+        });
+        if (!disposal) return res.status(404).json({ error: 'Disposal not found' });
+        res.json({
+            ...disposal.toJSON(),
+            actionLabel: DISPOSAL_ACTIONS[disposal.action].label,
+            fiscalYear: fiscalYearOf(disposal.disposal_date),
+            // 証明書番号: 年度-連番
+            certificateNo: `${fiscalYearOf(disposal.disposal_date)}-${String(disposal.id).padStart(5, '0')}`
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/* 対処記録の取消API (管理者のみ)
+   払い出した数量は調整 (adjust) の入出庫として戻し、取消の理由 (reason) と実行ユーザーを記録します。
+   対処済みかどうかは、残っている対処記録から決め直します。
+*/
+app.delete('/api/disposals/:id', authenticateToken, isAdmin, async (req, res) => {
+    const t = await sequelize.transaction();
+    try {
+        const disposal = await StockDisposal.findByPk(req.params.id, { transaction: t });
+        if (!disposal) {
+            await t.rollback();
+            return res.status(404).json({ error: 'Disposal not found' });
+        }
+        const record = await StockRecord.findByPk(disposal.StockRecordId, { transaction: t });
+        if (await isStocktakingLocked(record.StocktakingId, t)) {
+            await t.rollback();
+            return res.status(409).json(LOCKED_ERROR);
+        }
+
+        // 払出の履歴は消さず、戻す数量を調整として記録する
+        const movement = disposal.StockMovementId
+            ? await StockMovement.findByPk(disposal.StockMovementId, { transaction: t })
+            : null;
+        await disposal.destroy({ transaction: t });
+        if (movement && movement.quantity !== 0) {
+            const { label } = DISPOSAL_ACTIONS[disposal.action];
+            const reason = req.body && req.body.reason ? `: ${req.body.reason}` : '';
+            await recordMovement(record, {
+                type: 'adjust',
+                quantity: -movement.quantity,
+                reason: `対処の取消 (${label} ${disposal.disposal_date})${reason}`,
+                userId: req.user.id
+            }, t);
+        }
+
+        // 残っている対処記録から対処済みかを決め直す
+        const remaining = await StockDisposal.findAll({ where: { StockRecordId: record.id }, transaction: t });
+        const taishozumi = remaining.some(other => other.completes_lot) || (remaining.length > 0 && record.quantity === 0);
+        await record.update({ taishozumi }, { transaction: t });
+
+        await t.commit();
+        res.json({ success: true, quantity: record.quantity, taishozumi });
+    } catch (err) {
+        await t.rollback();
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 年度別の対処実績API
+/* 年度 (4月〜3月) × 備蓄品ごとに、対処の種類別の数量を集計します。
+   ?fiscalYear= を指定すると、その年度の対処記録の明細も返します。
+*/
+app.get('/api/reports/disposals', authenticateToken, async (req, res) => {
+    try {
+        const disposals = await StockDisposal.findAll({
+            include: [
+                { model: StockRecord, include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation] },
+                { model: User, attributes: ['id', 'name', 'name_jp'] }
+            ],
+            order: [['disposal_date', 'ASC'], ['id', 'ASC']]
+        });
+
+        const rows = new Map();
+        for (const disposal of disposals) {
+            const fiscalYear = fiscalYearOf(disposal.disposal_date);
+            const bichikuhin = disposal.StockRecord.Bichikuhin;
+            const key = `${fiscalYear}-${bichikuhin ? bichikuhin.id : 0}`;
+            if (!rows.has(key)) {
+                const row = {
+                    fiscalYear,
+                    bichikuhinId: bichikuhin ? bichikuhin.id : null,
+                    name: bichikuhin ? bichikuhin.name : '',
+                    unit: bichikuhin && bichikuhin.Unit ? bichikuhin.Unit.name : '',
+                    total: 0
+                };
+                Object.keys(DISPOSAL_ACTIONS).forEach(action => { row[action] = 0; });
+                rows.set(key, row);
+            }
+            const row = rows.get(key);
+            row[disposal.action] += disposal.quantity;
+            row.total += disposal.quantity;
+        }
+
+        const fiscalYears = [...new Set([...rows.values()].map(row => row.fiscalYear))].sort((a, b) => b - a);
+        const fiscalYear = req.query.fiscalYear ? Number(req.query.fiscalYear) : null;
+        res.json({
+            actions: Object.fromEntries(Object.entries(DISPOSAL_ACTIONS).map(([key, value]) => [key, value.label])),
+            fiscalYears,
+            rows: [...rows.values()]
+                .filter(row => !fiscalYear || row.fiscalYear === fiscalYear)
+                .sort((a, b) => b.fiscalYear - a.fiscalYear || a.name.localeCompare(b.name, 'ja')),
+            disposals: fiscalYear ? disposals.filter(d => fiscalYearOf(d.disposal_date) === fiscalYear) : []
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/records/:id', authenticateToken, canEdit, async (req, res) => {
     try {
         const { id } = req.params;
+        const record = await StockRecord.findByPk(id);
+        if (record && await isStocktakingLocked(record.StocktakingId)) {
+            return res.status(409).json(LOCKED_ERROR);
+        }
         const result = await StockRecord.update(
             { kubun: 0 }, // Soft delete by changing kubun
-            { where: { id: id } }
+            { where: { id: id }, individualHooks: true }
         );
         if (result[0] > 0) { // check if any row was updated
             res.json({ success: true, message: 'Record deleted successfully.' });
@@ -345,6 +2000,171 @@ app.delete('/api/records/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// 変更履歴の検索API (管理者のみ)
+/* table (モデル名), recordId, userId, action, from, to (YYYY-MM-DD) で絞り込みます。
+   page は1始まりで、1ページ100件です。
+*/
+const AUDIT_PAGE_SIZE = 100;
+
+app.get('/api/audit_logs', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const { table, recordId, userId, action, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const where = {};
+        if (table) where.table_name = table;
+        if (recordId) where.record_id = String(recordId);
+        if (userId) where.UserId = userId;
+        if (action) where.action = action;
+        if (from || to) {
+            where.createdAt = {};
+            if (from) where.createdAt[Op.gte] = new Date(`${from}T00:00:00`);
+            if (to) where.createdAt[Op.lt] = new Date(new Date(`${to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000);
+        }
+
+        const { count, rows } = await AuditLog.findAndCountAll({
+            where,
+            include: [{ model: User, attributes: ['id', 'name', 'name_jp'] }],
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+            limit: AUDIT_PAGE_SIZE,
+            offset: (page - 1) * AUDIT_PAGE_SIZE
+        });
+        res.json({ total: count, page, pageSize: AUDIT_PAGE_SIZE, logs: rows });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- ユーザー管理API (管理者のみ) ---
+/* 一覧 / 登録 / 権限・氏名・無効化の変更 / パスワードの再設定 / ログインのロック解除を行います。
+   app_roles でアプリごとの権限を指定できます (lib/roles.js)。
+   権限や無効化の変更は、次にアクセストークンを更新した時点 (最長5分後) から反映されます。
+*/
+const USER_ATTRIBUTES = ['id', 'name', 'name_jp', 'role', 'app_roles', 'disabled', 'auth_source', 'must_change_password', 'locked_until', 'createdAt'];
+
+// ログインの確認方法 (null は local と同じくこのシステムのパスワードのみ、lib/auth.js の verifyCredentials)
+const AUTH_SOURCES = ['local', 'ldap'];
+
+// ユーザー一覧 (ユーザー管理画面用、権限やロックの状態を含む)
+app.get('/api/users', auth.authenticateToken, isSystemAdmin, async (req, res) => {
+    try {
+        const users = await User.findAll({ attributes: USER_ATTRIBUTES, order: [['name', 'ASC']] });
+        res.json(users);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 選択肢用のユーザー一覧 (担当の割り当てや変更履歴の絞り込み用、名前と有効/無効のみ)
+app.get('/api/users/options', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const users = await User.findAll({ attributes: ['id', 'name', 'name_jp', 'disabled'], order: [['name', 'ASC']] });
+        res.json(users);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+const createUser = async (req, res) => {
+    const { name, password } = req.body;
+    const role = req.body.role || 'viewer';
+
+    if (!name || !password) {
+        return res.status(400).json({ message: 'ユーザー名とパスワードは必須です' });
+    }
+    if (!roles.ROLES.includes(role)) {
+        return res.status(400).json({ message: `権限は ${roles.ROLES.join(', ')} のいずれかを指定してください` });
+    }
+    const invalidAppRoles = req.body.app_roles !== undefined ? roles.validateAppRoles(req.body.app_roles) : null;
+    if (invalidAppRoles) {
+        return res.status(400).json({ message: invalidAppRoles });
+    }
+    const invalidPassword = passwordPolicy.checkPassword(password, name);
+    if (invalidPassword) {
+        return res.status(400).json({ message: invalidPassword });
+    }
+
+    try {
+        // ユーザー名の重複チェック
+        const existingUser = await User.findOne({ where: { name } });
+        if (existingUser) {
+            return res.status(409).json({ message: 'このユーザー名はすでに使用されています' });
+        }
+
+        // 管理者が決めた初期パスワードは、最初のログインで本人に変更してもらう
+        const newUser = await User.create({
+            name,
+            name_jp: req.body.name_jp || null,
+            ...await passwordPolicy.passwordValues(null, password, { mustChange: true }),
+            role,
+            app_roles: req.body.app_roles || null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'ユーザー登録が完了しました',
+            user: { id: newUser.id, name: newUser.name, name_jp: newUser.name_jp, role: newUser.role, app_roles: newUser.app_roles, disabled: newUser.disabled }
+        });
+    } catch (error) {
+        console.error('ユーザー登録エラー:', error);
+        res.status(500).json({ message: 'サーバーエラーが発生しました' });
+    }
+};
+
+app.post('/api/users', auth.authenticateToken, isSystemAdmin, createUser);
+// 以前の新規ユーザー登録API (誰でも登録できたため、管理者のみに制限)
+app.post('/api/register', auth.authenticateToken, isSystemAdmin, createUser);
+
+// 権限・氏名・無効化の変更 (自分自身の権限の変更や無効化、最後の管理者をなくす変更はできない)
+app.put('/api/users/:id', auth.authenticateToken, isSystemAdmin, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'ユーザーが見つかりません' });
+        }
+
+        const values = {};
+        if (req.body.name_jp !== undefined) values.name_jp = req.body.name_jp || null;
+        if (req.body.role !== undefined) {
+            if (!roles.ROLES.includes(req.body.role)) {
+                return res.status(400).json({ message: `権限は ${roles.ROLES.join(', ')} のいずれかを指定してください` });
+            }
+            values.role = req.body.role;
+        }
+        if (req.body.app_roles !== undefined) {
+            const invalid = roles.validateAppRoles(req.body.app_roles);
+            if (invalid) return res.status(400).json({ message: invalid });
+            values.app_roles = req.body.app_roles;
+        }
+        if (req.body.disabled !== undefined) values.disabled = !!req.body.disabled;
+        if (req.body.auth_source !== undefined) {
+            if (req.body.auth_source !== null && !AUTH_SOURCES.includes(req.body.auth_source)) {
+                return res.status(400).json({ message: `ログインの確認方法は ${AUTH_SOURCES.join(', ')} または null を指定してください` });
+            }
+            values.auth_source = req.body.auth_source;
+        }
+
+        const losesAdmin = roles.roleOf(user) === 'admin' && !user.disabled
+            && ((values.role && values.role !== 'admin') || values.disabled);
+        if (losesAdmin) {
+            if (user.id === req.user.id) {
+                return res.status(409).json({ message: '自分自身の権限の変更や無効化はできません' });
+            }
+            const otherAdmins = await User.count({ where: { role: 'admin', disabled: false, id: { [Op.ne]: user.id } } });
+            if (otherAdmins === 0) {
+                return res.status(409).json({ message: '有効な管理者が1人もいなくなるため変更できません' });
+            }
+        }
+
+        await user.update(values);
+        if (values.disabled) await auth.revokeUserSessions(user.id, 'disabled');
+        res.json(await User.findByPk(user.id, { attributes: USER_ATTRIBUTES }));
+    } catch (error) {
+        console.error('ユーザー更新エラー:', error);
+        res.status(500).json({ message: 'サーバーエラーが発生しました' });
+    }
+});
+
 // 8. 備蓄品検索API
 app.get('/api/bichikuhin', authenticateToken, async (req, res) => {
     const { name } = req.query;
@@ -356,7 +2176,8 @@ app.get('/api/bichikuhin', authenticateToken, async (req, res) => {
             where: {
                 name: {
                     [Op.like]: `%${name}%`
-                }
+                },
+                retired: false
             },
             include: [Unit]
         });
@@ -367,7 +2188,7 @@ app.get('/api/bichikuhin', authenticateToken, async (req, res) => {
 });
 
 // 9. 備蓄品登録API
-app.post('/api/bichikuhin', authenticateToken, async (req, res) => {
+app.post('/api/bichikuhin', authenticateToken, canEdit, async (req, res) => {
     const { name, unitId } = req.body;
     if (!name) {
         return res.status(400).json({ error: 'Name is required' });
@@ -381,20 +2202,33 @@ app.post('/api/bichikuhin', authenticateToken, async (req, res) => {
     }
 });
 
-app.get('/api/user', authenticateToken, async (req, res) => {
+app.get('/api/user', auth.authenticateForPasswordChange, async (req, res) => {
     try {
         const user = await User.findByPk(req.user.id);
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
-        res.json({ id: user.id, name: user.name, name_jp: user.name_jp, role: user.role });
+        res.json({
+            id: user.id,
+            name: user.name,
+            name_jp: user.name_jp,
+            role: roles.roleOf(user),
+            apps: roles.appRolesOf(user),
+            mustChangePassword: user.must_change_password
+        });
     } catch (error) {
         console.error('Failed to fetch user:', error);
         res.status(500).json({ message: 'Failed to fetch user data' });
     }
 });
 
-app.post('/api/change_password', authenticateToken, async (req, res) => {
+// パスワードのルール (パスワード変更画面・ユーザー管理画面に表示)
+app.get('/api/password_policy', auth.authenticateForPasswordChange, (req, res) => {
+    res.json(passwordPolicy.describePolicy());
+});
+
+// 現在のパスワードの誤りはログインの失敗と同じく数え、続けて間違えるとロックする
+app.post('/api/change_password', auth.authenticateForPasswordChange, async (req, res) => {
     const { oldPassword, newPassword } = req.body;
     const userId = req.user.id;
 
@@ -408,13 +2242,33 @@ app.post('/api/change_password', authenticateToken, async (req, res) => {
             return res.status(404).json({ message: 'ユーザーが見つかりません' });
         }
 
+        if (user.auth_source === 'ldap') {
+            return res.status(400).json({ message: 'ドメインのアカウントのパスワードは Windows で変更してください' });
+        }
+        const lockedUntil = throttle.accountLockedUntil(user);
+        if (lockedUntil) {
+            return res.status(429).json({ message: throttle.lockedMessage(lockedUntil) });
+        }
         const isMatch = await bcrypt.compare(oldPassword, user.password);
         if (!isMatch) {
+            await throttle.recordFailure(req, user.name, user);
             return res.status(401).json({ message: '現在のパスワードが正しくありません' });
         }
+        await throttle.recordSuccess(user);
+
+        const invalidPassword = passwordPolicy.checkPassword(newPassword, user.name);
+        if (invalidPassword) {
+            return res.status(400).json({ message: invalidPassword });
+        }
+        if (await passwordPolicy.isReused(newPassword, user)) {
+            return res.status(400).json({ message: `過去${passwordPolicy.POLICY.history}回に使ったパスワードは使えません` });
+        }
 
-        const hashedPassword = await bcrypt.hash(newPassword, 10);
-        await user.update({ password: hashedPassword });
+        await user.update(await passwordPolicy.passwordValues(user, newPassword));
+        // 他の端末のセッションはログアウトさせる
+        await auth.revokeUserSessions(user.id, 'password', auth.currentSessionId(req));
+        // パスワード変更の要否を含むアクセストークンを発行し直す
+        auth.reissueAccessToken(res, user);
 
         res.json({ success: true, message: 'パスワードが正常に変更されました' });
     } catch (error) {
@@ -423,14 +2277,8 @@ app.post('/api/change_password', authenticateToken, async (req, res) => {
     }
 });
 
-const isAdmin = (req, res, next) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'アクセス権がありません' });
-    }
-    next();
-};
-
-app.put('/api/users/:id/password', async (req, res) => {
+// パスワードの再設定 (管理者のみ)
+app.put('/api/users/:id/password', auth.authenticateToken, isSystemAdmin, async (req, res) => {
     const { id } = req.params;
     const { password } = req.body;
 
@@ -443,9 +2291,21 @@ app.put('/api/users/:id/password', async (req, res) => {
         if (!user) {
             return res.status(404).json({ message: 'ユーザーが見つかりません' });
         }
+        if (user.auth_source === 'ldap') {
+            return res.status(400).json({ message: 'ドメインのアカウントのパスワードはディレクトリで再設定してください' });
+        }
+        const invalidPassword = passwordPolicy.checkPassword(password, user.name);
+        if (invalidPassword) {
+            return res.status(400).json({ message: invalidPassword });
+        }
 
-        const hashedPassword = await bcrypt.hash(password, 10);
-        await user.update({ password: hashedPassword });
+        // 再設定したパスワードは仮のパスワードとし、次のログインで本人に変更してもらう (ロックも解除する)
+        await user.update({
+            ...await passwordPolicy.passwordValues(user, password, { mustChange: true }),
+            failed_login_count: 0,
+            locked_until: null
+        });
+        await auth.revokeUserSessions(user.id, 'password');
 
         res.json({ success: true, message: 'ユーザーのパスワードが正常に変更されました' });
     } catch (error) {
@@ -454,10 +2314,165 @@ app.put('/api/users/:id/password', async (req, res) => {
     }
 });
 
-app.post('/api/logout', (req, res) => {
-    res.clearCookie('accessToken');
-    res.clearCookie('refreshToken');
-    res.json({ success: true });
+// ログインのロック解除 (管理者のみ)
+app.post('/api/users/:id/unlock', auth.authenticateToken, isSystemAdmin, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'ユーザーが見つかりません' });
+        }
+        await throttle.unlock(req, user, req.user);
+        res.json({ success: true, message: `「${user.name_jp || user.name}」のロックを解除しました` });
+    } catch (error) {
+        console.error('ロック解除エラー:', error);
+        res.status(500).json({ message: 'サーバーエラーが発生しました' });
+    }
+});
+
+// ログインのロック記録 (管理者のみ、新しい順)
+app.get('/api/login_events', auth.authenticateToken, isSystemAdmin, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    try {
+        const events = await LoginEvent.findAll({ order: [['createdAt', 'DESC']], limit });
+        res.json(events);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- APIキーの管理 (管理者のみ) ---
+/* キーはハッシュだけを保存するため、発行したキーは作成時のレスポンスでしか確認できません。
+   失効したキーも一覧に残します (いつまで使われていたかを確認するため)。
+*/
+const API_KEY_ATTRIBUTES = ['id', 'name', 'prefix', 'scopes', 'expires_at', 'last_used_at', 'last_used_ip', 'revoked_at', 'createdAt'];
+
+app.get('/api/api_keys', auth.authenticateToken, isSystemAdmin, async (req, res) => {
+    try {
+        const keys = await ApiKey.findAll({
+            attributes: API_KEY_ATTRIBUTES,
+            include: [{ model: User, as: 'CreatedBy', attributes: ['name', 'name_jp'] }],
+            order: [['createdAt', 'DESC']]
+        });
+        res.json({ scopes: apiKeys.SCOPES, keys });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/api_keys', auth.authenticateToken, isSystemAdmin, async (req, res) => {
+    const { name, scopes } = req.body;
+    if (!name) {
+        return res.status(400).json({ message: '名前は必須です' });
+    }
+    const invalidScopes = apiKeys.validateScopes(scopes);
+    if (invalidScopes) {
+        return res.status(400).json({ message: invalidScopes });
+    }
+    let expiresAt = null;
+    if (req.body.expires_at) {
+        expiresAt = new Date(req.body.expires_at);
+        if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+            return res.status(400).json({ message: '有効期限には今より後の日時を指定してください' });
+        }
+    }
+
+    try {
+        const { key, prefix, key_hash } = apiKeys.generateKey();
+        const apiKey = await ApiKey.create({
+            name,
+            prefix,
+            key_hash,
+            scopes: [...new Set(scopes)],
+            expires_at: expiresAt,
+            CreatedByUserId: req.user.id
+        });
+        res.status(201).json({
+            message: 'APIキーを発行しました。キーはこの画面でしか表示されないため、控えておいてください',
+            key,
+            apiKey: await ApiKey.findByPk(apiKey.id, { attributes: API_KEY_ATTRIBUTES })
+        });
+    } catch (error) {
+        console.error('APIキー発行エラー:', error);
+        res.status(500).json({ message: 'サーバーエラーが発生しました' });
+    }
+});
+
+// 失効 (削除はしない)
+app.delete('/api/api_keys/:id', auth.authenticateToken, isSystemAdmin, async (req, res) => {
+    try {
+        const [count] = await ApiKey.update({ revoked_at: new Date() }, { where: { id: req.params.id, revoked_at: null } });
+        if (count === 0) {
+            return res.status(404).json({ message: 'APIキーが見つかりません' });
+        }
+        res.json({ success: true, message: 'APIキーを失効させました' });
+    } catch (error) {
+        console.error('APIキー失効エラー:', error);
+        res.status(500).json({ message: 'サーバーエラーが発生しました' });
+    }
+});
+
+// --- ログイン中の端末 (セッション) ---
+const sessionSummary = (session, currentId) => ({
+    id: session.id,
+    user_agent: session.user_agent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    last_used_at: session.last_used_at,
+    expires_at: session.expires_at,
+    current: session.id === currentId
+});
+
+// 自分のセッション一覧
+app.get('/api/sessions', auth.authenticateToken, async (req, res) => {
+    try {
+        const currentId = auth.currentSessionId(req);
+        const sessions = await auth.activeSessions(req.user.id);
+        res.json(sessions.map(session => sessionSummary(session, currentId)));
+    } catch (error) {
+        console.error('セッション取得エラー:', error);
+        res.status(500).json({ message: 'サーバーエラーが発生しました' });
+    }
+});
+
+// 他の端末をすべてログアウト
+app.delete('/api/sessions', auth.authenticateToken, async (req, res) => {
+    try {
+        const [count] = await auth.revokeUserSessions(req.user.id, 'user', auth.currentSessionId(req));
+        res.json({ success: true, message: `${count} 件の端末をログアウトしました` });
+    } catch (error) {
+        console.error('セッション削除エラー:', error);
+        res.status(500).json({ message: 'サーバーエラーが発生しました' });
+    }
+});
+
+// 指定した端末をログアウト (自分のセッションのみ)
+app.delete('/api/sessions/:id', auth.authenticateToken, async (req, res) => {
+    try {
+        const [count] = await auth.revokeSessions({ id: req.params.id, UserId: req.user.id }, 'user');
+        if (count === 0) {
+            return res.status(404).json({ message: 'セッションが見つかりません' });
+        }
+        if (req.params.id === auth.currentSessionId(req)) auth.clearTokenCookies(res);
+        res.json({ success: true, message: '端末をログアウトしました' });
+    } catch (error) {
+        console.error('セッション削除エラー:', error);
+        res.status(500).json({ message: 'サーバーエラーが発生しました' });
+    }
+});
+
+// ユーザーをすべての端末からログアウト (管理者のみ)
+app.delete('/api/users/:id/sessions', auth.authenticateToken, isSystemAdmin, async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'ユーザーが見つかりません' });
+        }
+        const [count] = await auth.revokeUserSessions(user.id, 'admin');
+        res.json({ success: true, message: `「${user.name_jp || user.name}」を ${count} 件の端末からログアウトしました` });
+    } catch (error) {
+        console.error('セッション削除エラー:', error);
+        res.status(500).json({ message: 'サーバーエラーが発生しました' });
+    }
 });
 
 module.exports = app;
\ No newline at end of file
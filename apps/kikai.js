@@ -2,9 +2,21 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const iconv = require('iconv-lite');
+const cookieParser = require('cookie-parser');
+const auth = require('../lib/auth');
 
 const app = express();
 
+// --- Auth (lib/auth.js) ---
+// ダッシュボード (営業情報) はログインが必要。入荷・出荷予定の表示板はキオスク端末からログインなしで見られる
+app.use(express.json());
+app.use(cookieParser());
+app.use(auth.authRoutes());
+const requireLogin = auth.protect('kikai');
+const kiosk = auth.kiosk('kikai');
+// 入荷・出荷予定のAPIは kikai:read のAPIキーでも利用できる
+const readAccess = auth.apiKeyOr('kikai:read', kiosk);
+
 // --- Generic CSV to JSON reader (UTF-16 LE) ---
 function readCsvToJson(filePath) {
   if (!fs.existsSync(filePath)) return [];
@@ -63,7 +75,7 @@ function readCsvToJson(filePath) {
   });
 }
 
-app.get('/dashboard', (req, res) => {
+app.get('/dashboard', requireLogin, (req, res) => {
   
   const csvDir = '\\\\03-kikai02-svr\\1.機械ロール事業部\\2.営業\\5.テキスト出力用'; //path.join(__dirname, 'csv');
   const QUERY_RECENT_ORDERS = readCsvToJson(path.join(csvDir, 'recent_orders.csv'));
@@ -94,6 +106,7 @@ app.get('/dashboard', (req, res) => {
   res.send(html);
 });
 
+app.use(['/arrivals', '/deliveries'], kiosk);
 app.use(express.static(path.join(__dirname, '../public/kikai')));
 
 function serveJsonFromCSV(filePath) {
@@ -144,8 +157,8 @@ function serveJsonFromCSV(filePath) {
   };
 }
 
-app.get('/api/upcoming_arrivals', serveJsonFromCSV('\\\\03-kikai02-svr\\1.機械ロール事業部\\chokkinnyuukayotei.txt'));
+app.get('/api/upcoming_arrivals', readAccess, serveJsonFromCSV('\\\\03-kikai02-svr\\1.機械ロール事業部\\chokkinnyuukayotei.txt'));
 
-app.get('/api/cur_month_deliveries', serveJsonFromCSV('\\\\03-kikai02-svr\\1.機械ロール事業部\\tougetsushukkayotei.txt'));
+app.get('/api/cur_month_deliveries', readAccess, serveJsonFromCSV('\\\\03-kikai02-svr\\1.機械ロール事業部\\tougetsushukkayotei.txt'));
 
 module.exports = app;
\ No newline at end of file
@@ -1,130 +1,574 @@
 const express = require('express');
 const path = require('path');
-const multer = require('multer');
-const { Kottouhin, KottouhinCategory } = require('../models');
-const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, User, Kottouhin, KottouhinCategory, KottouhinPhoto, KottouhinAppraisal, KottouhinMovement } = require('../models');
 const cookieParser = require('cookie-parser');
+const auth = require('../lib/auth');
+const { requireRole } = require('../lib/roles');
+const photos = require('../lib/kottouhinPhotos');
+const { latestAppraisals, buildInsuredValueReport } = require('../lib/kottouhinValuation');
+const { sendTable } = require('../lib/stockExport');
+const { todayString } = require('../lib/localDate');
+const { cleanupOrphanedUploads } = require('../jobs/kottouhinUploads');
 
 const app = express();
-const ACCESS_SECRET = process.env.ACCESS_SECRET || 'access_secret_123';
 
 // --- 設定 ---
 app.use(express.json());
 app.use(cookieParser());
 
-// --- 画像アップロードの設定 (multer) ---
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, 'public/uploads/kottouhin/');
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
+// --- 認証ミドルウェア (lib/auth.js) ---
+// 閲覧は骨董品の閲覧権限以上、登録・更新は編集者以上
+const authenticateToken = auth.protect('kottouhin');
+const canEdit = requireRole('editor', 'kottouhin');
+const isAdmin = requireRole('admin', 'kottouhin');
+
+// --- ルート設定 ---
+
+// 1. 骨董品一覧ページ
+app.get('/', authenticateToken, (req, res) => {
+    res.sendFile(path.resolve(__dirname, '../views/kottouhin.html'));
+});
+
+// 写真は position の順に並べる
+const PHOTO_ORDER = [[KottouhinPhoto, 'position', 'ASC'], [KottouhinPhoto, 'id', 'ASC']];
+
+const findItem = (id) => Kottouhin.findByPk(id, {
+    include: [KottouhinCategory, KottouhinPhoto],
+    order: PHOTO_ORDER
+});
+
+const photosOf = (kottouhinId) => KottouhinPhoto.findAll({
+    where: { KottouhinId: kottouhinId },
+    order: [['position', 'ASC'], ['id', 'ASC']]
 });
 
-const upload = multer({ storage: storage });
+/* 代表写真を1枚にそろえ、Kottouhin.photo を代表写真の Web用サイズにする
+   primaryId を指定するとその写真を代表にします。未指定なら今の代表写真、なければ先頭の写真です。
+*/
+const syncPrimary = async (item, primaryId) => {
+    const list = await photosOf(item.id);
+    const primary = list.find(photo => photo.id === Number(primaryId))
+        || list.find(photo => photo.is_primary)
+        || list[0];
+    for (const photo of list) {
+        const isPrimary = Boolean(primary) && photo.id === primary.id;
+        if (photo.is_primary !== isPrimary) await photo.update({ is_primary: isPrimary });
+    }
+    const previous = item.photo;
+    await item.update({ photo: primary ? primary.web : null });
 
-// --- 認証ミドルウェア (bichikuhinkanri.js と同様) ---
-const authenticateToken = (req, res, next) => {
-    const token = req.cookies.accessToken;
-    
-    if (!token) {
-        if (req.path.startsWith('/api/')) return res.sendStatus(401);
-        return res.redirect('/login');
+    // 写真の一覧にない以前の画像 (写真を1枚だけ登録していた頃のファイル) は残さない
+    if (photos.isUploadPath(previous) && !list.some(photo => [photo.original, photo.web, photo.thumbnail].includes(previous))) {
+        await photos.removeFiles([previous]);
     }
+};
 
-    jwt.verify(token, ACCESS_SECRET, (err, user) => {
-        if (err) {
-            if (req.path.startsWith('/api/')) return res.sendStatus(401);
-            return res.redirect('/login');
-        }
-        req.user = user;
-        next();
+/* アップロードされた写真を末尾に追加する (captions はファイルと同じ順の説明)
+   以前の画面の photo (1枚) は代表写真の差し替えとして扱い、元の代表写真をファイルごと削除します。
+   processed は photos.processUploads で変換済みの写真です (省略時はここで変換します)。
+*/
+const addPhotos = async (item, req, processed) => {
+    if (!processed) processed = await photos.processUploads(photos.uploadedFiles(req));
+    if (processed.length === 0) return;
+
+    const replaced = req.files.photo
+        ? await KottouhinPhoto.findOne({ where: { KottouhinId: item.id, is_primary: true } })
+        : null;
+    const captions = [].concat(req.body.captions || []);
+    const last = await KottouhinPhoto.max('position', { where: { KottouhinId: item.id } });
+    const start = Number.isInteger(last) ? last + 1 : 0;
+    const created = await KottouhinPhoto.bulkCreate(processed.map((photo, index) => ({
+        ...photo,
+        caption: captions[index] || null,
+        position: start + index,
+        KottouhinId: item.id
+    })));
+
+    if (replaced) {
+        await replaced.destroy();
+        await photos.removePhotoFiles([replaced]);
+    }
+    // photo のファイルは最後に並ぶ
+    await syncPrimary(item, req.files.photo ? created[created.length - 1].id : undefined);
+};
+
+const handlePhotoError = (res, err, label) => {
+    if (err instanceof photos.PhotoError) return res.status(400).json({ error: err.message });
+    console.error(`${label} error:`, err);
+    res.status(500).json({ error: err.message });
+};
+
+// 骨董品に最新の評価 (保険評価額) を付ける
+const withInsuredValue = async (items) => {
+    if (items.length === 0) return [];
+    const appraisals = await KottouhinAppraisal.findAll({ where: { KottouhinId: items.map(item => item.id) } });
+    const latest = latestAppraisals(appraisals);
+    return items.map(item => {
+        const appraisal = latest.get(item.id);
+        return {
+            ...item.toJSON(),
+            insured_value: appraisal ? appraisal.value : null,
+            appraised_on: appraisal ? appraisal.appraised_on : null
+        };
     });
 };
 
-// --- ルート設定 ---
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
 
-// 1. 骨董品一覧ページ
-app.get('/', authenticateToken, (req, res) => {
-    res.sendFile(path.resolve(__dirname, '../views/kottouhin.html'));
-});
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
 
-// 2. 骨董品データ取得API
+// 並び順 (?sort=)。同じ値の場合は id で並びを固定する
+const SORTS = {
+    entry_date: 'entry_date',
+    name: 'name',
+    era: 'era',
+    acquisition_price: 'acquisition_price',
+    created: 'createdAt'
+};
+
+// キーワード検索の対象
+const KEYWORD_FIELDS = ['name', 'notes', 'artist', 'era', 'material'];
+
+/* 2. 骨董品データ取得API (insured_value は最新の評価額)
+   ?q= キーワード (品名・備考・作者・時代・材質、空白区切りはすべてを含むもの)
+   ?categoryId= カテゴリー (none でカテゴリーなし)  ?from=&to= 登録日の範囲 (YYYY-MM-DD)
+   ?status= active (既定、所蔵中) | archived (手放したもの) | all
+   ?sort= entry_date|name|era|acquisition_price|created  ?order= asc|desc (既定: 登録日の新しい順)
+   ?page= ページ (1から)  ?pageSize= 1ページの件数 (既定 24、最大 100)
+*/
 app.get('/api/kottouhin', authenticateToken, async (req, res) => {
     try {
-        const items = await Kottouhin.findAll({
-            include: [KottouhinCategory],
-            order: [['entry_date', 'DESC']]
+        const { q, categoryId, from, to } = req.query;
+        const status = req.query.status || 'active';
+        if (!['active', 'archived', 'all'].includes(status)) {
+            return res.status(400).json({ error: 'status must be active, archived or all' });
+        }
+        const sort = req.query.sort || 'entry_date';
+        if (!SORTS[sort]) return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+        if ((from && !isDate(from)) || (to && !isDate(to))) {
+            return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+        }
+        const direction = (req.query.order || (sort === 'entry_date' || sort === 'created' ? 'desc' : 'asc')).toUpperCase();
+        if (!['ASC', 'DESC'].includes(direction)) return res.status(400).json({ error: 'order must be asc or desc' });
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const conditions = [];
+        if (status === 'active') conditions.push({ archived_at: null });
+        if (status === 'archived') conditions.push({ archived_at: { [Op.ne]: null } });
+        const keywords = String(q || '').split(/[\s\u3000]+/).filter(Boolean);
+        for (const keyword of keywords) {
+            conditions.push({ [Op.or]: KEYWORD_FIELDS.map(field => ({ [field]: { [Op.like]: `%${keyword}%` } })) });
+        }
+        if (categoryId === 'none') {
+            conditions.push({ KottouhinCategoryId: null });
+        } else if (categoryId) {
+            conditions.push({ KottouhinCategoryId: categoryId });
+        }
+        if (from) conditions.push({ entry_date: { [Op.gte]: from } });
+        if (to) conditions.push({ entry_date: { [Op.lte]: to } });
+
+        const { count, rows } = await Kottouhin.findAndCountAll({
+            where: { [Op.and]: conditions },
+            include: [KottouhinCategory, KottouhinPhoto],
+            order: [[SORTS[sort], direction], ['id', direction], ...PHOTO_ORDER],
+            limit: pageSize,
+            offset: (page - 1) * pageSize,
+            distinct: true
         });
-        res.json(items);
+        res.json({ total: count, page, pageSize, items: await withInsuredValue(rows) });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// 3. 骨董品登録・更新API
-app.post('/api/kottouhin', authenticateToken, upload.single('photo'), async (req, res) => {
+// 目録の項目 (空欄は null)
+const CATALOGUE_FIELDS = ['dimensions', 'material', 'era', 'artist', 'acquisition_source', 'notes'];
+
+// 金額 (円) の上限 (取得価額・評価額の INTEGER 列に入る最大値)
+const MAX_YEN = 2147483647;
+
+// 金額 (円) の入力値。空欄は null、不正な値や上限を超える値は undefined
+const parseYen = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(String(value).replace(/,/g, ''));
+    return Number.isInteger(number) && number >= 0 && number <= MAX_YEN ? number : undefined;
+};
+
+/* 3. 骨董品登録・更新API
+   写真は photos (複数枚) で送ります。送った写真は既存の写真の後ろに追加され、代表写真がなければ最初の1枚が代表になります。
+   場所・貸出先は移動履歴 (/api/kottouhin/:id/movements) で変更します。
+   更新では送られた項目だけを変更し、送られなかった項目は元の値のままにします。
+*/
+const saveItem = async (req, res, id) => {
     try {
-        const { id, name, categoryId, entry_date } = req.body;
-        const photo = req.file ? `/uploads/kottouhin/${req.file.filename}` : undefined;
+        const { name, categoryId, entry_date } = req.body;
 
-        if (!name) {
+        if (id ? name !== undefined && !name : !name) {
+            await photos.discardUploads(req);
             return res.status(400).json({ error: 'Name is required' });
         }
+        const acquisitionPrice = parseYen(req.body.acquisition_price);
+        if (acquisitionPrice === undefined) {
+            await photos.discardUploads(req);
+            return res.status(400).json({ error: `acquisition_price must be an integer from 0 to ${MAX_YEN}` });
+        }
+
+        const values = {};
+        if (name !== undefined) values.name = name;
+        if (categoryId !== undefined) values.KottouhinCategoryId = categoryId || null;
+        if (entry_date !== undefined) values.entry_date = entry_date || new Date();
+        if (req.body.acquisition_price !== undefined) values.acquisition_price = acquisitionPrice;
+        for (const field of CATALOGUE_FIELDS) {
+            if (req.body[field] !== undefined) values[field] = req.body[field] ? String(req.body[field]).trim() || null : null;
+        }
 
+        let item;
         if (id) {
-            // 更新
-            const item = await Kottouhin.findByPk(id);
-            if (!item) return res.status(404).json({ error: 'Item not found' });
-
-            const updateData = {
-                name,
-                KottouhinCategoryId: categoryId || null,
-                entry_date: entry_date || new Date()
-            };
-            if (photo) updateData.photo = photo;
-
-            await item.update(updateData);
-            return res.json(item);
+            item = await Kottouhin.findByPk(id);
+            if (!item) {
+                await photos.discardUploads(req);
+                return res.status(404).json({ error: 'Item not found' });
+            }
+        }
+
+        // 写真の変換を先に行い、写真が不正な場合は項目の変更も登録もしない
+        const processed = await photos.processUploads(photos.uploadedFiles(req));
+
+        try {
+            if (id) {
+                // 更新
+                await item.update(values);
+            } else {
+                // 新規作成
+                item = await Kottouhin.create(values);
+            }
+            await addPhotos(item, req, processed);
+        } catch (err) {
+            await photos.removePhotoFiles(processed);
+            if (!id && item) await item.destroy();
+            throw err;
+        }
+
+        res.status(id ? 200 : 201).json(await findItem(item.id));
+    } catch (err) {
+        handlePhotoError(res, err, 'Kottouhin save');
+    }
+};
+
+app.post('/api/kottouhin', authenticateToken, canEdit, photos.upload, (req, res) => saveItem(req, res, req.body.id));
+
+app.put('/api/kottouhin/:id', authenticateToken, canEdit, photos.upload, (req, res) => saveItem(req, res, req.params.id));
+
+// 写真の追加
+app.post('/api/kottouhin/:id/photos', authenticateToken, canEdit, photos.upload, async (req, res) => {
+    try {
+        const item = await Kottouhin.findByPk(req.params.id);
+        if (!item) {
+            await photos.discardUploads(req);
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        if (photos.uploadedFiles(req).length === 0) {
+            return res.status(400).json({ error: 'No photos uploaded' });
+        }
+        await addPhotos(item, req);
+        res.status(201).json(await photosOf(item.id));
+    } catch (err) {
+        handlePhotoError(res, err, 'Kottouhin photo upload');
+    }
+});
+
+// 写真の並べ替え (ids は新しい順番の写真ID。この骨董品の写真をすべて含める)
+app.put('/api/kottouhin/:id/photos/order', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const list = await photosOf(req.params.id);
+        const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : [];
+        const current = list.map(photo => photo.id);
+        if (ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every(id => current.includes(id))) {
+            return res.status(400).json({ error: 'ids must list every photo of the item exactly once' });
+        }
+
+        for (const photo of list) {
+            const position = ids.indexOf(photo.id);
+            if (photo.position !== position) await photo.update({ position });
+        }
+        res.json(await photosOf(req.params.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 写真の説明の変更・代表写真の指定
+app.put('/api/kottouhin/:id/photos/:photoId', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const photo = await KottouhinPhoto.findOne({ where: { id: req.params.photoId, KottouhinId: req.params.id } });
+        if (!photo) return res.status(404).json({ error: 'Photo not found' });
+
+        if (req.body.caption !== undefined) await photo.update({ caption: req.body.caption || null });
+        if (req.body.is_primary) await syncPrimary(await Kottouhin.findByPk(req.params.id), photo.id);
+        res.json(await photosOf(req.params.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 写真の削除 (代表写真を削除した場合は先頭の写真が代表になる)
+app.delete('/api/kottouhin/:id/photos/:photoId', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const photo = await KottouhinPhoto.findOne({ where: { id: req.params.photoId, KottouhinId: req.params.id } });
+        if (!photo) return res.status(404).json({ error: 'Photo not found' });
+
+        await photo.destroy();
+        await photos.removePhotoFiles([photo]);
+        await syncPrimary(await Kottouhin.findByPk(req.params.id));
+        res.json(await photosOf(req.params.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+const RECORDED_BY = { model: User, as: 'RecordedBy', attributes: ['id', 'name', 'name_jp'] };
+
+// 評価履歴 (新しい順)
+app.get('/api/kottouhin/:id/appraisals', authenticateToken, async (req, res) => {
+    try {
+        const appraisals = await KottouhinAppraisal.findAll({
+            where: { KottouhinId: req.params.id },
+            include: [RECORDED_BY],
+            order: [['appraised_on', 'DESC'], ['id', 'DESC']]
+        });
+        res.json(appraisals);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 評価の記録
+app.post('/api/kottouhin/:id/appraisals', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const item = await Kottouhin.findByPk(req.params.id);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+
+        const { appraised_on, appraiser, note } = req.body;
+        const value = parseYen(req.body.value);
+        if (!isDate(appraised_on)) return res.status(400).json({ error: 'appraised_on must be a date (YYYY-MM-DD)' });
+        if (!appraiser || !String(appraiser).trim()) return res.status(400).json({ error: 'Appraiser is required' });
+        if (value === null || value === undefined) return res.status(400).json({ error: `value must be an integer from 0 to ${MAX_YEN}` });
+
+        const appraisal = await KottouhinAppraisal.create({
+            KottouhinId: item.id,
+            appraised_on,
+            appraiser: String(appraiser).trim(),
+            value,
+            note: note || null,
+            RecordedByUserId: req.user.id
+        });
+        res.status(201).json(appraisal);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 評価の削除 (誤って記録した場合)
+app.delete('/api/kottouhin/:id/appraisals/:appraisalId', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const deleted = await KottouhinAppraisal.destroy({ where: { id: req.params.appraisalId, KottouhinId: req.params.id } });
+        if (!deleted) return res.status(404).json({ error: 'Appraisal not found' });
+        res.json({ message: 'Appraisal deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+const MOVEMENT_TYPES = ['display', 'storage', 'lend', 'return'];
+
+// 移動履歴 (新しい順)
+app.get('/api/kottouhin/:id/movements', authenticateToken, async (req, res) => {
+    try {
+        const movements = await KottouhinMovement.findAll({
+            where: { KottouhinId: req.params.id },
+            include: [RECORDED_BY],
+            order: [['moved_on', 'DESC'], ['id', 'DESC']]
+        });
+        res.json(movements);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/* 移動の記録
+   display / storage: location (展示・保管場所) へ移す。貸出中は先に返却を記録する
+   lend: location (貸出先) へ貸し出す。due_on は返却予定日
+   return: 返却を受けて location (戻した場所) に置く
+   現在の場所・貸出先は最新の移動で決まるため、最新の移動より前の日付では記録できません。
+*/
+app.post('/api/kottouhin/:id/movements', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const item = await Kottouhin.findByPk(req.params.id);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+
+        const { movement_type, moved_on, due_on, note } = req.body;
+        const location = req.body.location ? String(req.body.location).trim() : '';
+        if (!MOVEMENT_TYPES.includes(movement_type)) {
+            return res.status(400).json({ error: `movement_type must be one of: ${MOVEMENT_TYPES.join(', ')}` });
+        }
+        if (!location) return res.status(400).json({ error: 'Location is required' });
+        if (!isDate(moved_on)) return res.status(400).json({ error: 'moved_on must be a date (YYYY-MM-DD)' });
+        if (movement_type === 'lend' && due_on && (!isDate(due_on) || due_on < moved_on)) {
+            return res.status(400).json({ error: 'due_on must be a date on or after moved_on' });
+        }
+        if (item.archived_at) return res.status(400).json({ error: 'Item is archived' });
+        const latest = await KottouhinMovement.findOne({
+            where: { KottouhinId: item.id },
+            order: [['moved_on', 'DESC'], ['id', 'DESC']]
+        });
+        if (latest && moved_on < latest.moved_on) {
+            return res.status(400).json({ error: `moved_on must be on or after the latest movement (${latest.moved_on})` });
+        }
+        if (movement_type === 'return' && !item.lent_to) {
+            return res.status(400).json({ error: 'Item is not on loan' });
+        }
+        if (movement_type !== 'return' && item.lent_to) {
+            return res.status(400).json({ error: `Item is on loan to ${item.lent_to}. Record the return first` });
+        }
+
+        const movement = await KottouhinMovement.create({
+            KottouhinId: item.id,
+            movement_type,
+            location,
+            moved_on,
+            due_on: movement_type === 'lend' ? due_on || null : null,
+            note: note || null,
+            RecordedByUserId: req.user.id
+        });
+        if (movement_type === 'lend') {
+            await item.update({ lent_to: location });
         } else {
-            // 新規作成
-            const newItem = await Kottouhin.create({
-                name,
-                KottouhinCategoryId: categoryId || null,
-                photo: photo || null,
-                entry_date: entry_date || new Date()
-            });
-            res.status(201).json(newItem);
+            await item.update({ location, lent_to: null });
         }
+        res.status(201).json(movement);
     } catch (err) {
-        console.error('Kottouhin save error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// PUT route (alias for POST with ID for RESTful compliance if needed, but we can just use the POST logic)
-app.put('/api/kottouhin/:id', authenticateToken, upload.single('photo'), async (req, res) => {
-    req.body.id = req.params.id;
-    // Redirect to post logic or duplicate logic
+// 保険評価額レポート (所蔵中の骨董品について、カテゴリーごとの最新の評価額の合計)
+const loadInsuredValueReport = async () => {
+    const [categories, items, appraisals] = await Promise.all([
+        KottouhinCategory.findAll({ order: [['name', 'ASC']] }),
+        Kottouhin.findAll({ where: { archived_at: null }, attributes: ['id', 'KottouhinCategoryId', 'acquisition_price', 'lent_to'] }),
+        KottouhinAppraisal.findAll({ attributes: ['id', 'KottouhinId', 'appraised_on', 'value'] })
+    ]);
+    return buildInsuredValueReport({ categories, items, appraisals });
+};
+
+app.get('/api/reports/insured_value', authenticateToken, async (req, res) => {
     try {
-        const { name, categoryId, entry_date } = req.body;
-        const photo = req.file ? `/uploads/kottouhin/${req.file.filename}` : undefined;
+        res.json(await loadInsuredValueReport());
+    } catch (err) {
+        console.error('Error building insured value report:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 保険評価額レポートの出力API (?format=csv|xlsx)
+app.get('/api/reports/insured_value/export', authenticateToken, async (req, res) => {
+    try {
+        const report = await loadInsuredValueReport();
+        const columns = [
+            { header: 'カテゴリー', key: 'name', width: 24 },
+            { header: '点数', key: 'count', width: 8 },
+            { header: '評価済み', key: 'appraised', width: 10 },
+            { header: '未評価', key: 'unappraised', width: 10 },
+            { header: '保険評価額 (円)', key: 'insuredValue', width: 16 },
+            { header: '取得価額 (円)', key: 'acquisitionTotal', width: 16 },
+            { header: '貸出中', key: 'onLoan', width: 8 }
+        ];
+        const rows = [...report.categories, { ...report.total, name: '合計' }];
+        await sendTable(res, columns, rows, {
+            format: req.query.format,
+            filename: `骨董品_保険評価額_${todayString()}`,
+            sheetName: '保険評価額'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
+const ARCHIVE_REASONS = ['sold', 'donated', 'lost'];
+
+// 手放した記録 (売却・寄贈・紛失)。一覧と保険評価額の集計から除かれる
+app.post('/api/kottouhin/:id/archive', authenticateToken, canEdit, async (req, res) => {
+    try {
         const item = await Kottouhin.findByPk(req.params.id);
         if (!item) return res.status(404).json({ error: 'Item not found' });
+        if (item.archived_at) return res.status(400).json({ error: 'Item is already archived' });
 
-        const updateData = {
-            name,
-            KottouhinCategoryId: categoryId || null,
-            entry_date: entry_date || new Date()
-        };
-        if (photo) updateData.photo = photo;
+        const { reason, note } = req.body;
+        if (!ARCHIVE_REASONS.includes(reason)) {
+            return res.status(400).json({ error: `reason must be one of: ${ARCHIVE_REASONS.join(', ')}` });
+        }
+        await item.update({
+            archived_at: new Date(),
+            archive_reason: reason,
+            archive_note: note || null,
+            ArchivedByUserId: req.user.id
+        });
+        res.json(await findItem(item.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 手放した記録の取り消し (所蔵中に戻す)
+app.post('/api/kottouhin/:id/restore', authenticateToken, canEdit, async (req, res) => {
+    try {
+        const item = await Kottouhin.findByPk(req.params.id);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        if (!item.archived_at) return res.status(400).json({ error: 'Item is not archived' });
 
-        await item.update(updateData);
-        res.json(item);
+        await item.update({ archived_at: null, archive_reason: null, archive_note: null, ArchivedByUserId: null });
+        res.json(await findItem(item.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/* 完全削除 (管理者のみ)
+   確認のため confirmName に品名を送ります。写真のファイル・評価履歴・移動履歴もすべて削除され、元に戻せません。
+   手放しただけの場合は archive を使ってください。
+*/
+app.delete('/api/kottouhin/:id', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const item = await Kottouhin.findByPk(req.params.id, { include: [KottouhinPhoto] });
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        if (!req.body || req.body.confirmName !== item.name) {
+            return res.status(400).json({ error: 'confirmName must match the item name' });
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            const where = { KottouhinId: item.id };
+            await KottouhinPhoto.destroy({ where, transaction });
+            await KottouhinAppraisal.destroy({ where, transaction });
+            await KottouhinMovement.destroy({ where, transaction });
+            await item.destroy({ transaction });
+        });
+        await photos.removePhotoFiles(item.KottouhinPhotos);
+        if (photos.isUploadPath(item.photo)) await photos.removeFiles([item.photo]);
+        res.json({ message: 'Item deleted' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 参照されていない写真ファイルの削除 (管理者のみ、?dryRun=true で一覧のみ)
+app.post('/api/uploads/cleanup', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        res.json(await cleanupOrphanedUploads({ dryRun: req.query.dryRun === 'true' }));
     } catch (err) {
+        console.error('Upload cleanup error:', err);
         res.status(500).json({ error: err.message });
     }
 });
@@ -142,7 +586,7 @@ app.get('/api/categories', authenticateToken, async (req, res) => {
 });
 
 // 5. カテゴリー登録API
-app.post('/api/categories', authenticateToken, async (req, res) => {
+app.post('/api/categories', authenticateToken, canEdit, async (req, res) => {
     try {
         const { name } = req.body;
         if (!name) return res.status(400).json({ error: 'Name is required' });
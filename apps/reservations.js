@@ -1,9 +1,22 @@
 const express = require('express');
 const router  = express.Router();
 const path = require('path');
-const { Room, Department, Employee, Reservation } = require('../models');
+const cookieParser = require('cookie-parser');
+const { User, Room, Department, Employee, Reservation } = require('../models');
+const auth = require('../lib/auth');
 
 router.use(express.json());
+router.use(cookieParser());
+
+// ── Auth (lib/auth.js) ───────────────────────────────────
+// reservations_local では単独で動くため、リフレッシュ・ログインの引き継ぎAPIもここで登録する
+// サイネージと予約の閲覧 (GET) はキオスク端末からログインなしで使える
+router.use(auth.authRoutes());
+const requireLogin = auth.protect('reservations');
+const requireEditor = auth.protect('reservations', 'editor');
+const kiosk = auth.kiosk('reservations');
+// 読み取りのAPIは reservations:read のAPIキーでも利用できる
+const readAccess = (middleware) => auth.apiKeyOr('reservations:read', middleware);
 
 // ── SSE client registry ───────────────────────────────────
 // Map of roomId (string) -> Set of sender functions
@@ -22,12 +35,12 @@ function pushToRoom(roomId, event, payload) {
 }
 
 // ── GET / ───────────────────────────────────────────────
-router.get('/', (req, res) => {
+router.get('/', requireLogin, (req, res) => {
   res.sendFile(path.join(__dirname, '../public/reservations', 'index.html'));
 });
 
 // ── GET /signage ────────────────────────────────────────
-router.get(['/signage', '/signage.html'], (req, res) => {
+router.get(['/signage', '/signage.html'], kiosk, (req, res) => {
   res.sendFile(path.join(__dirname, '../public/reservations', 'signage.html'));
 });
 
@@ -35,7 +48,7 @@ router.get(['/signage', '/signage.html'], (req, res) => {
 router.use(express.static(path.join(__dirname, '../public')));
 
 // ── GET /api/masters ─────────────────────────────────────
-router.get('/api/masters', async (req, res) => {
+router.get('/api/masters', readAccess(requireLogin), async (req, res) => {
   try {
     const rooms = await Room.findAll();
     const departments = await Department.findAll({
@@ -48,7 +61,7 @@ router.get('/api/masters', async (req, res) => {
 });
 
 // ── GET /api/reservations?date=YYYY-MM-DD&roomId=1 ───────────
-router.get('/api/reservations', async (req, res) => {
+router.get('/api/reservations', readAccess(kiosk), async (req, res) => {
   const { date, roomId } = req.query;
   const where = {};
   if (date) where.date = date;
@@ -60,6 +73,7 @@ router.get('/api/reservations', async (req, res) => {
       include: [
         { model: Employee, as: 'reservingEmployee', include: [{ model: Department, as: 'department' }] },
         { model: Employee, as: 'registeredBy' },
+        { model: User,     as: 'registeredByUser', attributes: ['id', 'name', 'name_jp'] },
         { model: Room,     as: 'room' },
       ],
       order: [['startTime', 'ASC']],
@@ -72,10 +86,10 @@ router.get('/api/reservations', async (req, res) => {
 });
 
 // ── POST /api/reservations ────────────────────────────────────
-router.post('/api/reservations', async (req, res) => {
-  const { roomId, date, startTime, endTime, reservingEmployeeId, registeredByUserId } = req.body;
+router.post('/api/reservations', requireEditor, async (req, res) => {
+  const { roomId, date, startTime, endTime, reservingEmployeeId } = req.body;
 
-  if (!roomId || !date || !startTime || !endTime || !reservingEmployeeId || !registeredByUserId) {
+  if (!roomId || !date || !startTime || !endTime || !reservingEmployeeId) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
@@ -86,13 +100,14 @@ router.post('/api/reservations', async (req, res) => {
       startTime,
       endTime,
       reservingEmployeeId,
-      registeredByUserId,
+      registeredByLoginUserId: req.user.id, // always the logged-in user, never taken from the body
       registeredAt: new Date(),
     });
     const full = await Reservation.findByPk(reservation.id, {
       include: [
         { model: Employee, as: 'reservingEmployee', include: [{ model: Department, as: 'department' }] },
         { model: Employee, as: 'registeredBy' },
+        { model: User,     as: 'registeredByUser', attributes: ['id', 'name', 'name_jp'] },
         { model: Room,     as: 'room' },
       ],
     });
@@ -108,7 +123,7 @@ router.post('/api/reservations', async (req, res) => {
 });
 
 // ── DELETE /api/reservations/:id ──────────────────────────────
-router.delete('/api/reservations/:id', async (req, res) => {
+router.delete('/api/reservations/:id', requireEditor, async (req, res) => {
   const id = parseInt(req.params.id);
 
   try {
@@ -128,7 +143,7 @@ router.delete('/api/reservations/:id', async (req, res) => {
 });
 
 // ── GET /api/events?room=1 ────────────────────────────────────
-router.get('/api/events', (req, res) => {
+router.get('/api/events', readAccess(kiosk), (req, res) => {
   const roomId = String(req.query.room);
   if (!roomId) return res.status(400).send('room query parameter required');
 
@@ -0,0 +1,221 @@
+const nodemailer = require('nodemailer');
+const { Op } = require('sequelize');
+const { toDateString } = require('../lib/localDate');
+const { StockRecord, Stocktaking, Bichikuhin, Unit, StorageLocation, ExpiryAlertLog } = require('../models');
+
+/* 消費期限アラートの定期送信
+   現在の棚卸から期限が近いロットを抽出し、保管場所ごとにまとめたHTMLメールを送信します。
+   一度通知したロット (ロット番号で判定) は、より短い期限区分に入るまで再通知しません。
+
+   設定 (.env):
+     EXPIRY_ALERT_ENABLED     true で起動時にスケジューラーを開始
+     EXPIRY_ALERT_HORIZONS    期限区分 (例: 6m,3m,1m,expired / d=日, w=週, m=月)
+     EXPIRY_ALERT_HOUR        毎日の実行時刻 (0-23, 既定 8)
+     EXPIRY_ALERT_RECIPIENTS  宛先 (カンマ区切り)
+     EXPIRY_ALERT_FROM        送信元
+     SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+   ローカルでは MailHog などのSMTPスタブ (SMTP_HOST=localhost, SMTP_PORT=1025) で確認できます。
+*/
+
+const DEFAULT_HORIZONS = '6m,3m,1m,expired';
+
+const HORIZON_LABELS = { d: '日', w: '週間', m: 'ヶ月' };
+
+// '3m' などの期限区分を { key, label, date } に変換する (date はその日付未満が対象)
+const parseHorizon = (key, baseDate = new Date()) => {
+    const date = new Date(baseDate);
+    if (key === 'expired') {
+        return { key, label: '期限切れ', days: 0, date: toDateString(date) };
+    }
+    const match = /^(\d+)([dwm])$/.exec(key);
+    if (!match) {
+        throw new Error(`Invalid expiry alert horizon: ${key}`);
+    }
+    const amount = Number(match[1]);
+    const unit = match[2];
+    if (unit === 'm') {
+        date.setMonth(date.getMonth() + amount);
+    } else {
+        date.setDate(date.getDate() + amount * (unit === 'w' ? 7 : 1));
+    }
+    return {
+        key,
+        label: `${amount}${HORIZON_LABELS[unit]}以内`,
+        days: Math.round((date - baseDate) / 86400000),
+        date: toDateString(date)
+    };
+};
+
+// 設定された期限区分を短い順に返す
+const getHorizons = (baseDate = new Date()) => {
+    const keys = (process.env.EXPIRY_ALERT_HORIZONS || DEFAULT_HORIZONS)
+        .split(',')
+        .map(key => key.trim())
+        .filter(Boolean);
+    return keys.map(key => parseHorizon(key, baseDate)).sort((a, b) => a.days - b.days);
+};
+
+// 現在の棚卸から、いずれかの期限区分に入る未対処ロットを取得し、最も短い区分を割り当てる
+const findExpiringRecords = async (horizons) => {
+    const activeStocktaking = await Stocktaking.findOne({ where: { active: true } });
+    if (!activeStocktaking || horizons.length === 0) return [];
+
+    const widest = horizons[horizons.length - 1];
+    const records = await StockRecord.findAll({
+        where: {
+            StocktakingId: activeStocktaking.id,
+            kubun: 1,
+            taishozumi: false,
+            expiry_date: { [Op.ne]: null, [Op.lt]: widest.date }
+        },
+        include: [{ model: Bichikuhin, include: [Unit] }, StorageLocation],
+        order: [[StorageLocation, 'id', 'ASC'], ['expiry_date', 'ASC']]
+    });
+
+    return records.map(record => ({
+        record,
+        horizon: horizons.find(h => record.expiry_date < h.date)
+    }));
+};
+
+/* 送信済みの区分を除いた、今回通知するロット
+   棚卸のコピー後も同じロットとみなせるよう、ロット番号で送信済みを判定する
+*/
+const alertKey = (lotCode, horizonKey, expiryDate) => `${lotCode}-${horizonKey}-${expiryDate}`;
+const filterUnsent = (expiring, sentLogs) => {
+    const sentKeys = new Set(sentLogs.map(log => alertKey(log.lot_code, log.horizon, log.expiry_date)));
+    return expiring.filter(({ record, horizon }) => !sentKeys.has(alertKey(record.lot_code, horizon.key, record.expiry_date)));
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 保管場所ごとにまとめたHTMLダイジェストを作成する
+const buildDigestHtml = (items) => {
+    const groups = new Map();
+    for (const item of items) {
+        const location = item.record.StorageLocation;
+        const key = location ? location.id : 'unknown';
+        if (!groups.has(key)) groups.set(key, { name: location ? location.name : '場所未定', items: [] });
+        groups.get(key).items.push(item);
+    }
+
+    const cell = 'style="border:1px solid #ccc;padding:4px 8px;"';
+    const sections = [...groups.values()].map(group => `
+        <h3 style="margin:16px 0 4px;">${escapeHtml(group.name)} (${group.items.length}件)</h3>
+        <table style="border-collapse:collapse;font-size:14px;">
+            <tr style="background:#eee;">
+                <th ${cell}>品名</th><th ${cell}>消費期限</th><th ${cell}>数量</th><th ${cell}>区分</th><th ${cell}>備考</th>
+            </tr>
+            ${group.items.map(({ record, horizon }) => `
+            <tr${horizon.key === 'expired' ? ' style="color:#c00;"' : ''}>
+                <td ${cell}>${escapeHtml(record.Bichikuhin?.name)}</td>
+                <td ${cell}>${escapeHtml(record.expiry_date)}</td>
+                <td ${cell} align="right">${escapeHtml(record.quantity)} ${escapeHtml(record.Bichikuhin?.Unit?.name)}</td>
+                <td ${cell}>${escapeHtml(horizon.label)}</td>
+                <td ${cell}>${escapeHtml(record.bikou)}</td>
+            </tr>`).join('')}
+        </table>`).join('');
+
+    return `<div style="font-family:sans-serif;">
+        <p>消費期限が近い備蓄品をお知らせします (新たに該当したもののみ)。</p>
+        ${sections}
+    </div>`;
+};
+
+const createTransport = () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 25,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+});
+
+/* アラートを1回実行する
+   dryRun の場合はメール送信と送信履歴の記録を行わず、対象のみ返します。
+*/
+const runExpiryAlerts = async ({ dryRun = false, transport } = {}) => {
+    const horizons = getHorizons();
+    const expiring = await findExpiringRecords(horizons);
+
+    const sentLogs = expiring.length === 0 ? [] : await ExpiryAlertLog.findAll({
+        where: { lot_code: expiring.map(item => item.record.lot_code) },
+        raw: true
+    });
+    const items = filterUnsent(expiring, sentLogs);
+
+    const result = {
+        horizons: horizons.map(({ key, label, date }) => ({ key, label, date })),
+        count: items.length,
+        items: items.map(({ record, horizon }) => ({ recordId: record.id, horizon: horizon.key })),
+        sent: false
+    };
+    if (items.length === 0) return result;
+
+    const html = buildDigestHtml(items);
+    result.html = html;
+    if (dryRun) return result;
+
+    const recipients = (process.env.EXPIRY_ALERT_RECIPIENTS || '').split(',').map(r => r.trim()).filter(Boolean);
+    if (recipients.length === 0) {
+        throw new Error('EXPIRY_ALERT_RECIPIENTS is not configured');
+    }
+
+    await (transport || createTransport()).sendMail({
+        from: process.env.EXPIRY_ALERT_FROM || 'bichikuhin@localhost',
+        to: recipients.join(', '),
+        subject: `【備蓄品】消費期限アラート (${items.length}件)`,
+        html
+    });
+
+    await ExpiryAlertLog.bulkCreate(items.map(({ record, horizon }) => ({
+        StockRecordId: record.id,
+        lot_code: record.lot_code,
+        horizon: horizon.key,
+        expiry_date: record.expiry_date,
+        sent_at: new Date()
+    })), { ignoreDuplicates: true });
+
+    result.sent = true;
+    return result;
+};
+
+// 次の実行時刻までのミリ秒
+const msUntilNextRun = (hour, now = new Date()) => {
+    const next = new Date(now);
+    next.setHours(hour, 0, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+    return next - now;
+};
+
+// 毎日 EXPIRY_ALERT_HOUR 時にアラートを実行するスケジューラーを開始する
+const startExpiryAlertScheduler = () => {
+    const hour = Number(process.env.EXPIRY_ALERT_HOUR ?? 8);
+    let timer = null;
+
+    const schedule = () => {
+        timer = setTimeout(async () => {
+            try {
+                const result = await runExpiryAlerts();
+                console.log(`Expiry alerts: ${result.count} new item(s)${result.sent ? ' sent' : ''}`);
+            } catch (err) {
+                console.error('Expiry alert error:', err);
+            }
+            schedule();
+        }, msUntilNextRun(hour));
+    };
+
+    schedule();
+    console.log(`Expiry alert scheduler started (daily at ${hour}:00)`);
+    return { stop: () => clearTimeout(timer) };
+};
+
+module.exports = {
+    parseHorizon,
+    getHorizons,
+    filterUnsent,
+    runExpiryAlerts,
+    startExpiryAlertScheduler
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { sequelize, Kottouhin, KottouhinPhoto } = require('../models');
+const { UPLOAD_DIR, isUploadName, removeFiles } = require('../lib/kottouhinPhotos');
+
+/* 骨董品の写真フォルダ (public/uploads/kottouhin) の掃除
+   Kottouhin.photo と KottouhinPhoto のどこからも参照されていないアップロードファイルを探し、一覧を返すか削除します。
+   アップロードの途中 (保存してから登録するまで) のファイルを消さないよう、更新から GRACE_MINUTES 分以内のファイルは対象外です。
+
+   手動で実行する場合:
+     node jobs/kottouhinUploads.js           参照されていないファイルを表示する
+     node jobs/kottouhinUploads.js --delete  参照されていないファイルを削除する
+   管理者は POST /kottouhin/api/uploads/cleanup (?dryRun=true で表示のみ) からも実行できます。
+*/
+
+const GRACE_MINUTES = 60;
+
+// 参照されているファイル名の一覧
+const referencedFiles = async () => {
+    const [items, photos] = await Promise.all([
+        Kottouhin.findAll({ attributes: ['photo'] }),
+        KottouhinPhoto.findAll({ attributes: ['original', 'web', 'thumbnail'] })
+    ]);
+    const urls = [
+        ...items.map(item => item.photo),
+        ...photos.flatMap(photo => [photo.original, photo.web, photo.thumbnail])
+    ];
+    return new Set(urls.filter(Boolean).map(url => path.basename(url)));
+};
+
+// 参照されていないファイル [{ name, size, modifiedAt }]
+const findOrphanedUploads = async (now = new Date()) => {
+    const referenced = await referencedFiles();
+    const names = await fs.promises.readdir(UPLOAD_DIR).catch(err => {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    });
+
+    const orphans = [];
+    for (const name of names) {
+        if (!isUploadName(name) || referenced.has(name)) continue; // Thumbs.db や .gitkeep など、アプリが保存したもの以外は対象外
+        const stat = await fs.promises.stat(path.join(UPLOAD_DIR, name));
+        if (!stat.isFile() || now - stat.mtime < GRACE_MINUTES * 60 * 1000) continue;
+        orphans.push({ name, size: stat.size, modifiedAt: stat.mtime });
+    }
+    return orphans;
+};
+
+/* 参照されていないファイルを削除する (dryRun: true で一覧のみ)
+   戻り値: { dryRun, files, totalBytes }
+*/
+const cleanupOrphanedUploads = async ({ dryRun = false } = {}) => {
+    const files = await findOrphanedUploads();
+    if (!dryRun && files.length > 0) {
+        await removeFiles(files.map(file => file.name));
+        console.log(`Removed ${files.length} orphaned kottouhin upload files.`);
+    }
+    return { dryRun, files, totalBytes: files.reduce((sum, file) => sum + file.size, 0) };
+};
+
+if (require.main === module) {
+    (async () => {
+        try {
+            const dryRun = !process.argv.includes('--delete');
+            const result = await cleanupOrphanedUploads({ dryRun });
+            for (const file of result.files) {
+                console.log(`${file.name}\t${file.size}\t${file.modifiedAt.toISOString()}`);
+            }
+            console.log(`${result.files.length} orphaned files (${Math.round(result.totalBytes / 1024)} KB)${dryRun ? '. Run with --delete to remove them.' : ' removed.'}`);
+        } catch (err) {
+            console.error('Upload cleanup failed:', err);
+            process.exitCode = 1;
+        } finally {
+            await sequelize.close();
+        }
+    })();
+}
+
+module.exports = {
+    findOrphanedUploads,
+    cleanupOrphanedUploads
+};
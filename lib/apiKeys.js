@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ApiKey } = require('../models');
+
+/* APIキー (ログインしないスクリプトやサイネージ端末向け)
+   X-API-Key ヘッダー (または Authorization: Bearer) でキーを送ります。
+   ルートでは auth.apiKeyOr('スコープ', 通常の認証) のように、ログインの代わりにキーを受け付けます。
+
+   以前の共通キー CRON_API_KEY も移行のため records:expiring のキーとして使えますが、
+   管理画面で用途ごとのキーを発行して置き換えてください。
+*/
+
+// 利用できる範囲
+const SCOPES = {
+    'records:read': '在庫記録の読み取り',
+    'records:expiring': '期限間近の在庫の読み取り',
+    'reservations:read': '会議室予約の読み取り',
+    'kikai:read': '機械ロールの入荷・出荷予定の読み取り'
+};
+
+const KEY_PREFIX = 'bk_';
+
+// 最終利用日時の更新は1分に1回まで (サイネージの定期取得で毎回書き込まないように)
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// 新しいキーを作る (key は発行時にだけ利用者に表示する)
+const generateKey = () => {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+    return { key, prefix: key.slice(0, KEY_PREFIX.length + 6), key_hash: hashKey(key) };
+};
+
+const keyFromRequest = (req) => {
+    const header = req.get('x-api-key');
+    if (header) return header;
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+};
+
+// scopes の検証 (問題があればエラーメッセージを返す)
+const validateScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) return 'At least one scope is required';
+    const unknown = scopes.find(scope => !SCOPES[scope]);
+    return unknown ? `Unknown scope: ${unknown}` : null;
+};
+
+let warnedLegacyKey = false;
+
+/* キーを確認して { apiKey } を返す (無効な場合は { status, error })
+   有効なキーは最終利用日時と IP アドレスを記録します。
+*/
+const verifyKey = async (key, scope, req) => {
+    const keyHash = hashKey(key);
+    if (process.env.CRON_API_KEY && keyHash === hashKey(process.env.CRON_API_KEY)) {
+        if (scope !== 'records:expiring') return { status: 403, error: `API key lacks scope: ${scope}` };
+        if (!warnedLegacyKey) {
+            console.warn('CRON_API_KEY is deprecated. Issue a scoped API key from /api_keys instead.');
+            warnedLegacyKey = true;
+        }
+        return { apiKey: { id: null, name: 'CRON_API_KEY', scopes: ['records:expiring'] } };
+    }
+
+    const apiKey = await ApiKey.findOne({
+        where: {
+            key_hash: keyHash,
+            revoked_at: null,
+            [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }]
+        }
+    });
+    if (!apiKey) return { status: 401, error: 'Invalid or expired API key' };
+    if (!apiKey.scopes.includes(scope)) return { status: 403, error: `API key lacks scope: ${scope}` };
+
+    if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at.getTime() > TOUCH_INTERVAL_MS) {
+        ApiKey.update({ last_used_at: new Date(), last_used_ip: req.ip }, { where: { id: apiKey.id } })
+            .catch(err => console.error('API key touch error:', err));
+    }
+    return { apiKey };
+};
+
+module.exports = {
+    SCOPES,
+    generateKey,
+    keyFromRequest,
+    validateScopes,
+    verifyKey
+};
@@ -0,0 +1,107 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/* 変更履歴 (監査ログ)
+   対象モデルの作成・更新・削除をフックで捕まえ、変更前後の値を AuditLog に記録します。
+   操作したユーザーと IP は、リクエストごとに auditContext で保存したものを使います。
+   (スクリプトや起動時の初期データなど、リクエスト外の変更はユーザーなしで記録されます)
+
+   Model.update / destroy を where 指定で一括実行する場合は、
+   individualHooks: true を付けないと記録されません。
+*/
+
+const storage = new AsyncLocalStorage();
+
+/* リクエストの処理中、フックから req を参照できるようにする
+   multer などのアップロード処理はストリームのコールバックから次へ進むため、コンテキストが失われることがあります。
+   アップロードを受け取るルートでは、アップロードのミドルウェアの後にもう一度 auditContext を付けてください。
+*/
+const auditContext = (req, res, next) => {
+    storage.run({ req }, next);
+};
+
+// 記録しない項目 (自動更新されるタイムスタンプ)
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+const currentActor = () => {
+    const store = storage.getStore();
+    const req = store && store.req;
+    if (!req) return { UserId: null, user_name: null, ip: null };
+    return {
+        UserId: req.user ? req.user.id : null,
+        user_name: req.user ? req.user.name : null,
+        ip: req.ip || null
+    };
+};
+
+// 関連モデルを除いた、列の値だけを取り出す (excluded の列は記録しない)
+const plainValues = (instance, excluded = []) => {
+    const values = {};
+    for (const key of Object.keys(instance.constructor.rawAttributes)) {
+        if (!IGNORED_FIELDS.includes(key) && !excluded.includes(key)) values[key] = instance.dataValues[key];
+    }
+    return values;
+};
+
+/* AuditLog: 記録先のモデル
+   models: 記録対象のモデル
+   softDelete: { モデル名: (変更前, 変更後) => 論理削除かどうか }
+   excludeFields: { モデル名: [記録しない列] } (パスワードのハッシュなど)
+*/
+const enableAudit = (AuditLog, models, { softDelete = {}, excludeFields = {} } = {}) => {
+    const write = (entries, options) => {
+        if (entries.length === 0) return null;
+        const actor = currentActor();
+        return AuditLog.bulkCreate(entries.map(entry => ({ ...entry, ...actor })), {
+            transaction: options.transaction
+        });
+    };
+
+    const excludedOf = (Model) => excludeFields[Model.name] || [];
+
+    const createEntry = (instance) => ({
+        table_name: instance.constructor.name,
+        record_id: String(instance.id),
+        action: 'create',
+        before_values: null,
+        after_values: plainValues(instance, excludedOf(instance.constructor))
+    });
+
+    for (const Model of models) {
+        const excluded = excludedOf(Model);
+        Model.afterCreate((instance, options) => write([createEntry(instance)], options));
+        Model.afterBulkCreate((instances, options) => write(instances.map(createEntry), options));
+
+        Model.afterUpdate((instance, options) => {
+            const changed = (instance.changed() || []).filter(key => !IGNORED_FIELDS.includes(key) && !excluded.includes(key));
+            if (changed.length === 0) return null;
+
+            const before = {};
+            const after = {};
+            for (const key of changed) {
+                before[key] = instance.previous(key);
+                after[key] = instance.get(key);
+            }
+            const isSoftDelete = softDelete[Model.name] && softDelete[Model.name](before, after);
+            return write([{
+                table_name: Model.name,
+                record_id: String(instance.id),
+                action: isSoftDelete ? 'delete' : 'update',
+                before_values: before,
+                after_values: after
+            }], options);
+        });
+
+        Model.afterDestroy((instance, options) => write([{
+            table_name: Model.name,
+            record_id: String(instance.id),
+            action: 'delete',
+            before_values: plainValues(instance, excluded),
+            after_values: null
+        }], options));
+    }
+};
+
+module.exports = {
+    auditContext,
+    enableAudit
+};
@@ -0,0 +1,472 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const { User, UserSession } = require('../models');
+const roles = require('./roles');
+const throttle = require('./loginThrottle');
+const ldap = require('./ldapAuth');
+const apiKeys = require('./apiKeys');
+
+/* 全アプリ共通の認証 (app.js の vhost で動く備蓄品管理・骨董品・会議室予約・機械ロール)
+   - アクセストークン (5分) とリフレッシュトークン (7日) を HttpOnly クッキーに保存します。
+   - リフレッシュトークンはログインごとのセッション (UserSession) としてサーバーに記録し、リフレッシュのたびに新しいものへ入れ替えます。
+     入れ替え済みのトークンがもう一度使われた場合は盗まれたとみなし、そのセッションを無効にします。
+     セッションを無効にしても、発行済みのアクセストークンは期限 (最長5分) まで使えます。
+   - ログイン画面は AUTH_LOGIN_HOST (既定は bichikuhinkanri_local) にだけあります。
+     ホスト名が異なるとクッキーを共有できないため、他のホストでは未ログインの場合にログイン画面へ移動し、
+     ログイン後に使い捨てのチケット (/auth/handoff → /auth/callback) でそのホストのクッキーを発行します。
+     共通の親ドメインで運用する場合は AUTH_COOKIE_DOMAIN を指定するとクッキー自体を共有できます。
+   - パスワードの変更が必要なユーザー (初期の admin や管理者が再設定したユーザー) は、変更するまでパスワード変更画面以外を使えません。
+   - スクリプトなどからの利用は apiKeyOr() で、ログインの代わりにスコープ付きのAPIキー (lib/apiKeys.js) を受け付けます。
+   - サイネージなど閲覧専用の画面は kiosk() で、KIOSK_ALLOWED_IPS (カンマ区切り) に指定した端末からだけログインなしの閲覧を許可します。
+     KIOSK_ALLOWED_IPS を指定しない場合、キオスク端末はなく、すべての閲覧にログインが必要です。
+
+   各アプリでは cookieParser() と express.json() の後に app.use(auth.authRoutes()) を登録し、
+   ルートには protect('アプリ名', '権限') か kiosk('アプリ名') を付けます。
+*/
+
+const ACCESS_SECRET = process.env.ACCESS_SECRET || 'access_secret_123';
+const REFRESH_SECRET = process.env.REFRESH_SECRET || 'refresh_secret_456';
+const HANDOFF_SECRET = process.env.HANDOFF_SECRET || `${REFRESH_SECRET}:handoff`;
+
+const LOGIN_HOST = process.env.AUTH_LOGIN_HOST || 'bichikuhinkanri_local';
+// ログイン後に戻ってよいホスト (これ以外へのチケットは発行しない)
+const AUTH_HOSTS = (process.env.AUTH_HOSTS || 'bichikuhinkanri_local,reservations_local,kikairollweb_local')
+    .split(',').map(host => host.trim()).filter(Boolean);
+
+const COOKIE_OPTIONS = process.env.AUTH_COOKIE_DOMAIN
+    ? { httpOnly: true, domain: process.env.AUTH_COOKIE_DOMAIN }
+    : { httpOnly: true };
+
+const REFRESH_TOKEN_DAYS = 7;
+// 複数のタブが同時にリフレッシュした場合に、直前のトークンを許可する時間
+const REUSE_GRACE_MS = 10 * 1000;
+
+const isApiRequest = (req) => req.path.startsWith('/api/');
+
+// --- トークン ---
+const signAccessToken = (user) => jwt.sign(
+    {
+        id: user.id,
+        name: user.name,
+        role: user.role,
+        app_roles: user.app_roles || {},
+        must_change_password: !!user.must_change_password
+    },
+    ACCESS_SECRET,
+    { expiresIn: '5m' }
+);
+
+const signRefreshToken = (session) => jwt.sign(
+    { id: session.UserId, sid: session.id, jti: session.token_id },
+    REFRESH_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_DAYS}d` }
+);
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const clientInfo = (req) => ({
+    user_agent: (req.get('user-agent') || '').slice(0, 500) || null,
+    ip: req.ip || null
+});
+
+// ログイン時に新しいセッションを作成してトークンを発行する
+const generateTokens = async (user, req) => {
+    const session = await UserSession.create({
+        id: crypto.randomUUID(),
+        UserId: user.id,
+        token_id: crypto.randomUUID(),
+        ...clientInfo(req),
+        last_used_at: new Date(),
+        expires_at: refreshExpiry()
+    });
+    return { accessToken: signAccessToken(user), refreshToken: signRefreshToken(session) };
+};
+
+// ユーザーの情報 (権限やパスワード変更の要否) を変更した後にアクセストークンだけを発行し直す
+const reissueAccessToken = (res, user) => setTokenCookies(res, { accessToken: signAccessToken(user) });
+
+const setTokenCookies = (res, { accessToken, refreshToken }) => {
+    res.cookie('accessToken', accessToken, COOKIE_OPTIONS);
+    if (refreshToken) res.cookie('refreshToken', refreshToken, COOKIE_OPTIONS);
+};
+
+const clearTokenCookies = (res) => {
+    res.clearCookie('accessToken', COOKIE_OPTIONS);
+    res.clearCookie('refreshToken', COOKIE_OPTIONS);
+};
+
+// --- セッション ---
+const revokeSessions = (where, reason) => UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { ...where, revoked_at: null } }
+);
+
+// ユーザーのすべてのセッションを無効にする (except に指定したセッションは残す)
+const revokeUserSessions = (userId, reason, except) => revokeSessions(
+    except ? { UserId: userId, id: { [Op.ne]: except } } : { UserId: userId },
+    reason
+);
+
+// 期限切れから30日以上たったセッションの記録を削除する
+const pruneSessions = () => UserSession.destroy({
+    where: { expires_at: { [Op.lt]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } }
+});
+
+const activeSessions = (userId) => UserSession.findAll({
+    where: { UserId: userId, revoked_at: null, expires_at: { [Op.gt]: new Date() } },
+    order: [['last_used_at', 'DESC']]
+});
+
+// リフレッシュトークンのクッキーからセッションIDを取り出す (期限切れでも署名が正しければ返す)
+const currentSessionId = (req) => {
+    try {
+        return jwt.verify(req.cookies.refreshToken || '', REFRESH_SECRET, { ignoreExpiration: true }).sid || null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/* リフレッシュトークンを検証して新しいトークンを発行する
+   成功すると { user, accessToken, refreshToken } を、ログインし直す必要がある場合は null を返します。
+   同時リクエストで直前のトークンが使われた場合は、新しいリフレッシュトークンが既にクッキーに届いているため
+   アクセストークンだけを返します。
+*/
+const rotateRefreshToken = async (token, req) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token || '', REFRESH_SECRET);
+    } catch (err) {
+        return null;
+    }
+    // セッションを記録する前に発行されたトークンはログインし直してもらう
+    if (!decoded.sid) return null;
+
+    const session = await UserSession.findByPk(decoded.sid);
+    if (!session || session.revoked_at || session.expires_at < new Date()) return null;
+
+    const user = await User.findByPk(session.UserId);
+    if (!user || user.disabled) {
+        await revokeSessions({ id: session.id }, 'disabled');
+        return null;
+    }
+
+    if (decoded.jti !== session.token_id) {
+        const recentlyRotated = session.rotated_at && Date.now() - session.rotated_at.getTime() < REUSE_GRACE_MS;
+        if (decoded.jti === session.previous_token_id && recentlyRotated) {
+            return { user, accessToken: signAccessToken(user) };
+        }
+        console.warn(`Refresh token reuse detected: user=${user.name} session=${session.id} ip=${req.ip}`);
+        await revokeSessions({ id: session.id }, 'reuse');
+        return null;
+    }
+
+    const now = new Date();
+    const next = { id: session.id, UserId: session.UserId, token_id: crypto.randomUUID() };
+    // 同じトークンで同時にリフレッシュされた場合は、先に入れ替えた方だけが新しいトークンを受け取る
+    const [updated] = await UserSession.update({
+        token_id: next.token_id,
+        previous_token_id: session.token_id,
+        rotated_at: now,
+        last_used_at: now,
+        expires_at: refreshExpiry(),
+        ...clientInfo(req)
+    }, { where: { id: session.id, token_id: session.token_id } });
+    if (updated === 0) return { user, accessToken: signAccessToken(user) };
+
+    return { user, accessToken: signAccessToken(user), refreshToken: signRefreshToken(next) };
+};
+
+// --- ユーザー名とパスワードの確認 ---
+const checkLocalPassword = async (user, password) => !!(user && password && await bcrypt.compare(password, user.password));
+
+// 有効な管理者が user のほかにいないこと
+const isLastAdmin = async (user) => roles.roleOf(user) === 'admin' && !user.disabled
+    && await User.count({ where: { role: 'admin', disabled: false, id: { [Op.ne]: user.id } } }) === 0;
+
+/* ディレクトリで確認できたユーザーを作成・更新する (氏名と、グループから決めた権限をディレクトリに合わせる)
+   ユーザー管理画面と同じく、有効な管理者が1人もいなくなる権限の変更はせず、管理者のままにします。
+*/
+const syncDirectoryUser = async (user, profile) => {
+    const values = { auth_source: 'ldap', must_change_password: false };
+    if (profile.displayName) values.name_jp = profile.displayName;
+    if (profile.role) values.role = profile.role;
+    if (user) {
+        if (values.role && values.role !== 'admin' && await isLastAdmin(user)) {
+            console.warn(`LDAP: kept the admin role of ${user.name} because no other active admin exists`);
+            delete values.role;
+        }
+        return user.update(values);
+    }
+
+    // このシステムのパスワードではログインできないよう、推測できないパスワードを設定しておく
+    return User.create({
+        name: profile.name,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        role: 'viewer',
+        ...values
+    });
+};
+
+/* ユーザー名とパスワードを確認する (user は name で見つかったユーザー、いなければ null)
+   成功すると { user }、パスワードの誤りは null、それ以外の理由でログインできない場合は { status, message } を返します。
+   LDAP が有効な場合 (lib/ldapAuth.js):
+   - auth_source が ldap のユーザーと未登録のユーザーは、ディレクトリで確認する (未登録ならユーザーを作成する)
+   - それ以外 (auth_source が local か未設定のユーザーと LDAP_LOCAL_USERS のユーザー) は、このシステムのパスワードで確認する
+   同じ名前のディレクトリのアカウントが既存のユーザーを乗っ取らないよう、LDAP を有効にする前からのユーザーは自動では
+   ディレクトリに切り替えません。切り替える場合は、管理者がユーザー管理画面でログイン方法を「ディレクトリ」にします。
+*/
+const verifyCredentials = async (name, password, user) => {
+    const localResult = async () => ((await checkLocalPassword(user, password)) ? { user } : null);
+    if (!ldap.isEnabled() || (user && user.auth_source !== 'ldap') || ldap.isLocalOnly(name)) return localResult();
+
+    let profile;
+    try {
+        profile = await ldap.authenticate(name, password);
+    } catch (err) {
+        console.error('LDAP error:', err);
+        return { status: 503, message: 'ディレクトリサーバーに接続できません。しばらくしてから再度お試しください' };
+    }
+    if (!profile) return null;
+    if (profile.denied) {
+        return { status: 403, message: 'このシステムを利用する権限がありません。管理者に連絡してください' };
+    }
+    return { user: await syncDirectoryUser(user, profile) };
+};
+
+// --- ログイン画面への移動 ---
+const loginOrigin = (req) => {
+    if (process.env.AUTH_LOGIN_ORIGIN) return process.env.AUTH_LOGIN_ORIGIN;
+    const port = (req.get('host') || '').split(':')[1];
+    return `${req.protocol}://${LOGIN_HOST}${port ? `:${port}` : ''}`;
+};
+
+const redirectToLogin = (req, res) => {
+    if (req.hostname === new URL(loginOrigin(req)).hostname) {
+        return res.redirect(`/login?return=${encodeURIComponent(req.originalUrl)}`);
+    }
+    const current = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    res.redirect(`${loginOrigin(req)}/login?return=${encodeURIComponent(current)}`);
+};
+
+// パスワード変更画面はログイン画面と同じホストにある。変更後は元の画面に戻る
+const redirectToPasswordChange = (req, res) => {
+    if (req.hostname === new URL(loginOrigin(req)).hostname) {
+        return res.redirect(`/change_password?return=${encodeURIComponent(req.originalUrl)}`);
+    }
+    const current = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    res.redirect(`${loginOrigin(req)}/change_password?return=${encodeURIComponent(current)}`);
+};
+
+// --- 認証ミドルウェア ---
+/* APIリクエストはトークンが無効なら401を返します (画面側で /api/refresh を呼んで再実行する)。
+   画面の表示ではリフレッシュトークンでトークンを更新し、それも無効ならログイン画面へ移動します。
+   パスワードの変更が必要なユーザーかどうかは確認しません (パスワード変更画面・APIで使用)。
+*/
+const authenticateForPasswordChange = (req, res, next) => {
+    jwt.verify(req.cookies.accessToken || '', ACCESS_SECRET, async (err, user) => {
+        if (!err) {
+            req.user = user;
+            return next();
+        }
+        if (isApiRequest(req)) return res.sendStatus(401);
+
+        try {
+            const refreshed = await rotateRefreshToken(req.cookies.refreshToken, req);
+            if (!refreshed) return redirectToLogin(req, res);
+            setTokenCookies(res, refreshed);
+            req.user = jwt.decode(refreshed.accessToken);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+// ログインしていて、パスワードの変更が必要なユーザーでないこと
+const authenticateToken = (req, res, next) => authenticateForPasswordChange(req, res, (err) => {
+    if (err) return next(err);
+    if (!req.user.must_change_password) return next();
+    if (isApiRequest(req)) {
+        return res.status(403).json({ message: 'パスワードを変更してください', mustChangePassword: true });
+    }
+    redirectToPasswordChange(req, res);
+});
+
+// ログインしていて、アプリで role 以上の権限があること
+const protect = (app, role = 'viewer') => {
+    const check = roles.requireRole(role, app);
+    return (req, res, next) => authenticateToken(req, res, (err) => (err ? next(err) : check(req, res, next)));
+};
+
+const KIOSK_ALLOWED_IPS = (process.env.KIOSK_ALLOWED_IPS || '')
+    .split(',').map(ip => ip.trim()).filter(Boolean);
+
+// 一覧にない端末 (一覧が空の場合はすべての端末) はキオスク端末として扱わない
+const isKioskClient = (req) => KIOSK_ALLOWED_IPS.includes((req.ip || '').replace(/^::ffff:/, ''));
+
+// 閲覧専用の画面・API (GET) はキオスク端末からログインなしで使える。それ以外は protect(app) と同じ
+const kiosk = (app) => {
+    const fallback = protect(app);
+    return (req, res, next) => {
+        if ((req.method === 'GET' || req.method === 'HEAD') && isKioskClient(req)) {
+            req.kiosk = true;
+            return next();
+        }
+        fallback(req, res, next);
+    };
+};
+
+/* APIキーが送られた場合はキーと scope を確認し、それ以外は middleware (protect() など) で認証する
+   キーで認証したリクエストは req.user がなく、req.apiKey にキーの情報が入ります。
+*/
+const apiKeyOr = (scope, middleware) => async (req, res, next) => {
+    const key = apiKeys.keyFromRequest(req);
+    if (!key) return middleware(req, res, next);
+    try {
+        const result = await apiKeys.verifyKey(key, scope, req);
+        if (!result.apiKey) return res.status(result.status).json({ error: result.error });
+        req.apiKey = result.apiKey;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+// --- 認証API ---
+// 使用済みのチケット (jti → 有効期限)。同じチケットで2回ログインできないようにする
+const usedTickets = new Map();
+
+const consumeTicket = (ticket) => {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [jti, exp] of usedTickets) {
+        if (exp < now) usedTickets.delete(jti);
+    }
+    if (usedTickets.has(ticket.jti)) return false;
+    usedTickets.set(ticket.jti, ticket.exp);
+    return true;
+};
+
+// ログイン後の移動先はそのホスト内のパスに限る
+const safePath = (value) => (typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/');
+
+const authRoutes = () => {
+    const router = express.Router();
+
+    // ログイン実行API
+    // ロック中はパスワードを確認せずに 429 を返す (lib/loginThrottle.js)
+    router.post('/api/login', async (req, res) => {
+        const { name, password } = req.body;
+        try {
+            const ipLocked = throttle.ipLockedUntil(req.ip);
+            if (ipLocked) return res.status(429).json({ message: throttle.lockedMessage(ipLocked) });
+
+            const user = name ? await User.findOne({ where: { name } }) : null;
+            const accountLocked = throttle.accountLockedUntil(user);
+            if (accountLocked) return res.status(429).json({ message: throttle.lockedMessage(accountLocked) });
+
+            const result = await verifyCredentials(name, password, user);
+            if (result && result.status) return res.status(result.status).json({ message: result.message });
+            if (result) {
+                const loggedIn = result.user;
+                if (loggedIn.disabled) {
+                    return res.status(403).json({ message: 'このアカウントは無効になっています。管理者に連絡してください' });
+                }
+                await throttle.recordSuccess(loggedIn);
+                pruneSessions().catch(err => console.error('Session cleanup error:', err));
+                setTokenCookies(res, await generateTokens(loggedIn, req));
+                return res.json({ success: true, mustChangePassword: !!loggedIn.must_change_password });
+            }
+            await throttle.recordFailure(req, name, user);
+            res.status(401).json({ message: 'ユーザー名またはパスワードが正しくありません' });
+        } catch (error) {
+            console.error('Login error:', error);
+            res.status(500).json({ message: 'サーバーエラーが発生しました' });
+        }
+    });
+
+    // トークンリフレッシュAPI (リフレッシュトークンも毎回入れ替える)
+    router.post('/api/refresh', async (req, res) => {
+        if (!req.cookies.refreshToken) return res.sendStatus(401);
+        try {
+            // 無効化されたユーザーやログアウトされたセッションはアクセストークンの期限 (5分) が切れた時点で利用できなくなる
+            const refreshed = await rotateRefreshToken(req.cookies.refreshToken, req);
+            if (!refreshed) {
+                clearTokenCookies(res);
+                return res.sendStatus(403);
+            }
+            setTokenCookies(res, refreshed);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Refresh error:', error);
+            res.sendStatus(500);
+        }
+    });
+
+    router.post('/api/logout', async (req, res) => {
+        try {
+            const sessionId = currentSessionId(req);
+            if (sessionId) await revokeSessions({ id: sessionId }, 'logout');
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        clearTokenCookies(res);
+        res.json({ success: true });
+    });
+
+    // 他のホストへのログインの引き継ぎ (ログイン画面のホストで発行し、?return= のホストの /auth/callback へ移動する)
+    router.get('/auth/handoff', authenticateToken, (req, res) => {
+        let target;
+        try {
+            target = new URL(req.query.return);
+        } catch (err) {
+            return res.status(400).send('Invalid return URL');
+        }
+        if (!AUTH_HOSTS.includes(target.hostname)) {
+            return res.status(400).send('Return host is not allowed');
+        }
+        const ticket = jwt.sign({ id: req.user.id, jti: crypto.randomUUID() }, HANDOFF_SECRET, { expiresIn: '60s' });
+        const params = new URLSearchParams({ ticket, next: `${target.pathname}${target.search}` });
+        res.redirect(`${target.origin}/auth/callback?${params}`);
+    });
+
+    router.get('/auth/callback', async (req, res, next) => {
+        let ticket;
+        try {
+            ticket = jwt.verify(req.query.ticket || '', HANDOFF_SECRET);
+        } catch (err) {
+            return res.status(400).send('Invalid or expired ticket');
+        }
+        if (!consumeTicket(ticket)) return res.status(400).send('Ticket has already been used');
+
+        try {
+            const user = await User.findByPk(ticket.id);
+            if (!user || user.disabled) return res.status(403).send('アクセス権がありません');
+            setTokenCookies(res, await generateTokens(user, req));
+            res.redirect(safePath(req.query.next));
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    authenticateToken,
+    authenticateForPasswordChange,
+    protect,
+    kiosk,
+    apiKeyOr,
+    generateTokens,
+    setTokenCookies,
+    reissueAccessToken,
+    clearTokenCookies,
+    currentSessionId,
+    activeSessions,
+    revokeSessions,
+    revokeUserSessions,
+    authRoutes
+};
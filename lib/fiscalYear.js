@@ -0,0 +1,23 @@
+/* 年度 (4月始まり) のヘルパー
+   2025年4月1日〜2026年3月31日 は 2025年度 です。
+*/
+
+// YYYY-MM-DD (または Date) から年度を求める
+const fiscalYearOf = (date) => {
+    if (date instanceof Date) {
+        return date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    }
+    const [year, month] = String(date).split('-').map(Number);
+    return month >= 4 ? year : year - 1;
+};
+
+// 年度の初日と末日 (YYYY-MM-DD)
+const fiscalYearRange = (fiscalYear) => ({
+    from: `${fiscalYear}-04-01`,
+    to: `${fiscalYear + 1}-03-31`
+});
+
+module.exports = {
+    fiscalYearOf,
+    fiscalYearRange
+};
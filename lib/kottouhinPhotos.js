@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+
+/* 骨董品の写真のアップロードと変換
+   アップロードされた画像はそのまま保存し、EXIF の向きを補正した Web用サイズ (長辺 1600px) と
+   サムネイル (長辺 400px) を WebP で作成します。変換後の画像には位置情報などのメタデータを残しません。
+
+   設定 (.env):
+     KOTTOUHIN_PHOTO_MAX_MB     1枚あたりの上限 (既定 15MB)
+     KOTTOUHIN_PHOTO_MAX_FILES  1回にアップロードできる枚数 (既定 10枚)
+*/
+
+const UPLOAD_DIR = path.join(__dirname, '../public/uploads/kottouhin');
+const URL_PREFIX = '/uploads/kottouhin';
+
+const MAX_FILE_MB = parseInt(process.env.KOTTOUHIN_PHOTO_MAX_MB, 10) || 15;
+const MAX_FILES = parseInt(process.env.KOTTOUHIN_PHOTO_MAX_FILES, 10) || 10;
+
+// 受け付ける画像 (MIMEタイプ → 拡張子)。中身も sharp で確認する
+const ALLOWED_TYPES = {
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png'],
+    'image/webp': ['.webp']
+};
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+const SIZES = {
+    web: 1600,
+    thumbnail: 400
+};
+
+class PhotoError extends Error {}
+
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => cb(null, UPLOAD_DIR),
+    filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`)
+});
+
+/* このアプリが保存するファイル名
+   <UUID>.<拡張子> (元の画像)、<UUID>-web.webp / <UUID>-thumbnail.webp (変換後)、
+   photo-<時刻>-<乱数>.<拡張子> (写真の複数枚対応以前のアップロード) とその変換後の画像
+*/
+const UPLOAD_NAME_PATTERN = /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|photo-\d+-\d+)(?:-web|-thumbnail)?(?:\.[A-Za-z0-9]+)?$/;
+const isUploadName = (name) => UPLOAD_NAME_PATTERN.test(name);
+
+const fileFilter = (req, file, cb) => {
+    const extensions = ALLOWED_TYPES[file.mimetype];
+    if (!extensions || !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+        return cb(new PhotoError(`JPEG・PNG・WebP の画像のみアップロードできます (${file.originalname})`));
+    }
+    cb(null, true);
+};
+
+const multerUpload = multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: MAX_FILES }
+});
+
+const MULTER_MESSAGES = {
+    LIMIT_FILE_SIZE: `写真は1枚 ${MAX_FILE_MB}MB までです`,
+    LIMIT_FILE_COUNT: `写真は1回に ${MAX_FILES} 枚までです`,
+    LIMIT_UNEXPECTED_FILE: '写真の項目名が正しくありません'
+};
+
+/* 写真のアップロード (photos に複数枚、以前の画面の photo に1枚)
+   ファイルの種類や大きさが条件に合わない場合は 400 を返します。
+*/
+const upload = (req, res, next) => {
+    multerUpload.fields([{ name: 'photos', maxCount: MAX_FILES }, { name: 'photo', maxCount: 1 }])(req, res, (err) => {
+        if (!err) return next();
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({ error: MULTER_MESSAGES[err.code] || err.message });
+        }
+        if (err instanceof PhotoError) return res.status(400).json({ error: err.message });
+        next(err);
+    });
+};
+
+// アップロードされたファイル (photos, photo の順)
+const uploadedFiles = (req) => {
+    const files = req.files || {};
+    return [...(files.photos || []), ...(files.photo || [])];
+};
+
+const urlOf = (filename) => `${URL_PREFIX}/${filename}`;
+
+// このフォルダにアップロードしたファイルのパスか (Kottouhin.photo には外部のURLもありうる)
+const isUploadPath = (url) => typeof url === 'string' && url.startsWith(`${URL_PREFIX}/`);
+const fileOf = (url) => path.join(UPLOAD_DIR, path.basename(url));
+
+// ファイルの削除 (パスまたはファイル名の一覧、存在しないファイルは無視する)
+const removeFiles = async (urls) => {
+    await Promise.all(urls.filter(Boolean).map(url => fs.promises.unlink(fileOf(url)).catch(err => {
+        if (err.code !== 'ENOENT') console.error('Photo delete error:', err);
+    })));
+};
+
+/* 保存済みの画像から Web用サイズとサムネイルを作成する
+   画像として読めない場合は PhotoError を投げます (拡張子を偽ったファイルなど)。displayName はエラーに表示するファイル名です。
+*/
+const processImage = async (filePath, displayName = path.basename(filePath)) => {
+    let metadata;
+    try {
+        metadata = await sharp(filePath).metadata();
+    } catch (err) {
+        throw new PhotoError(`画像ファイルとして読み込めません (${displayName})`);
+    }
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw new PhotoError(`JPEG・PNG・WebP の画像のみアップロードできます (${displayName})`);
+    }
+
+    const base = path.basename(filePath, path.extname(filePath));
+    const outputs = {};
+    try {
+        for (const [size, edge] of Object.entries(SIZES)) {
+            const filename = `${base}-${size}.webp`;
+            await sharp(filePath)
+                .rotate() // EXIF の向きに合わせて回転する
+                .resize(edge, edge, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: size === 'thumbnail' ? 75 : 82 })
+                .toFile(path.join(UPLOAD_DIR, filename));
+            outputs[size] = urlOf(filename);
+        }
+    } catch (err) {
+        await removeFiles(Object.values(outputs));
+        throw err;
+    }
+
+    // EXIF の向きが 5〜8 の場合は縦横が入れ替わる
+    const rotated = metadata.orientation >= 5;
+    return {
+        original: urlOf(path.basename(filePath)),
+        web: outputs.web,
+        thumbnail: outputs.thumbnail,
+        width: rotated ? metadata.height : metadata.width,
+        height: rotated ? metadata.width : metadata.height
+    };
+};
+
+/* アップロードされたファイルをすべて変換する
+   1枚でも失敗した場合は、今回作成したファイルをすべて削除して PhotoError を投げます。
+*/
+const processUploads = async (files) => {
+    const results = [];
+    try {
+        for (const file of files) {
+            results.push({ ...await processImage(file.path, file.originalname), original_name: file.originalname });
+        }
+        return results;
+    } catch (err) {
+        await removeFiles(files.map(file => urlOf(file.filename)));
+        await removeFiles(results.flatMap(result => [result.web, result.thumbnail]));
+        throw err;
+    }
+};
+
+// 保存だけして使わなかったアップロードを削除する (入力エラーで登録しなかった場合など)
+const discardUploads = (req) => removeFiles(uploadedFiles(req).map(file => urlOf(file.filename)));
+
+// 写真のファイル (元の画像・Web用・サムネイル) をすべて削除する
+const removePhotoFiles = (photos) => removeFiles(photos.flatMap(photo => [photo.original, photo.web, photo.thumbnail]));
+
+module.exports = {
+    UPLOAD_DIR,
+    PhotoError,
+    upload,
+    uploadedFiles,
+    processImage,
+    processUploads,
+    discardUploads,
+    isUploadPath,
+    isUploadName,
+    removeFiles,
+    removePhotoFiles
+};
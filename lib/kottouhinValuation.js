@@ -0,0 +1,59 @@
+/* 骨董品の保険評価額の集計
+   保険評価額は最新の評価 (appraised_on が最も新しく、同じ日なら後に記録したもの) の評価額です。
+   評価が1件もない骨董品は保険評価額を持たず、件数 unappraised に数えます (取得価額では代用しません)。
+*/
+
+// appraisals (KottouhinAppraisal の配列) → Map(KottouhinId → 最新の評価)
+const latestAppraisals = (appraisals) => {
+    const latest = new Map();
+    for (const appraisal of appraisals) {
+        const current = latest.get(appraisal.KottouhinId);
+        if (!current
+            || appraisal.appraised_on > current.appraised_on
+            || (appraisal.appraised_on === current.appraised_on && appraisal.id > current.id)) {
+            latest.set(appraisal.KottouhinId, appraisal);
+        }
+    }
+    return latest;
+};
+
+const summarize = (items, latest) => {
+    const summary = { count: items.length, appraised: 0, unappraised: 0, insuredValue: 0, acquisitionTotal: 0, onLoan: 0 };
+    for (const item of items) {
+        const appraisal = latest.get(item.id);
+        if (appraisal) {
+            summary.appraised++;
+            summary.insuredValue += appraisal.value;
+        } else {
+            summary.unappraised++;
+        }
+        summary.acquisitionTotal += item.acquisition_price || 0;
+        if (item.lent_to) summary.onLoan++;
+    }
+    return summary;
+};
+
+/* カテゴリーごとの保険評価額
+   カテゴリーのない骨董品は categoryId: null の行にまとめます。
+*/
+const buildInsuredValueReport = ({ categories, items, appraisals }) => {
+    const latest = latestAppraisals(appraisals);
+    const groups = categories.map(category => ({
+        categoryId: category.id,
+        name: category.name,
+        ...summarize(items.filter(item => item.KottouhinCategoryId === category.id), latest)
+    }));
+    const uncategorized = items.filter(item => !categories.some(category => category.id === item.KottouhinCategoryId));
+    if (uncategorized.length > 0) {
+        groups.push({ categoryId: null, name: '(カテゴリーなし)', ...summarize(uncategorized, latest) });
+    }
+    return {
+        categories: groups.filter(group => group.count > 0),
+        total: summarize(items, latest)
+    };
+};
+
+module.exports = {
+    latestAppraisals,
+    buildInsuredValueReport
+};
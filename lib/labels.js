@@ -0,0 +1,111 @@
+const QRCode = require('qrcode');
+
+/* QRコードラベルシートの作成
+   市販のA4ラベル用紙に合わせたレイアウトで、印刷用のHTMLを作成します。
+   ブラウザの印刷機能で用紙に印刷、または PDF として保存してください。
+
+   ラベルの内容は棚卸モードでの読み取りに使います。
+     LOC:<保管場所ID>   保管場所
+     LOT:<ロット番号>   在庫記録 (StockRecord.lot_code)
+*/
+
+// 寸法はすべて mm (余白は用紙の上端・左端から最初のラベルまで)
+const LAYOUTS = {
+    'a4-12': { label: 'A4 12面 (86.4×42.3mm)', columns: 2, rows: 6, width: 86.4, height: 42.3, top: 21.5, left: 18.6, gapX: 0, gapY: 0 },
+    'a4-24': { label: 'A4 24面 (70×33.9mm)', columns: 3, rows: 8, width: 70, height: 33.9, top: 13, left: 0, gapX: 0, gapY: 0 },
+    'a4-44': { label: 'A4 44面 (48.3×25.4mm)', columns: 4, rows: 11, width: 48.3, height: 25.4, top: 8.8, left: 8.4, gapX: 0, gapY: 0 }
+};
+
+const DEFAULT_LAYOUT = 'a4-24';
+
+const locationCode = (location) => `LOC:${location.id}`;
+const lotCode = (record) => `LOT:${record.lot_code}`;
+
+// 読み取った文字列を { type, value } に変換する (認識できなければ null)
+const parseScanCode = (text) => {
+    const match = /^(LOC|LOT):(.+)$/.exec(String(text || '').trim());
+    if (!match) return null;
+    return { type: match[1] === 'LOC' ? 'location' : 'lot', value: match[2] };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/* labels: [{ code, title, lines: [] }]
+   code は QR コードに埋め込む文字列、title と lines はラベルに印字する文字列です。
+*/
+const renderLabelSheet = async (labels, { layout = DEFAULT_LAYOUT, title = 'ラベル' } = {}) => {
+    const spec = LAYOUTS[layout] || LAYOUTS[DEFAULT_LAYOUT];
+    const perPage = spec.columns * spec.rows;
+    const qrSize = Math.min(spec.height - 4, spec.width / 2.5);
+
+    const cells = await Promise.all(labels.map(async (label) => {
+        const svg = await QRCode.toString(label.code, { type: 'svg', margin: 0, errorCorrectionLevel: 'M' });
+        return `
+            <div class="label">
+                <div class="qr">${svg}</div>
+                <div class="text">
+                    <div class="title">${escapeHtml(label.title)}</div>
+                    ${(label.lines || []).map(line => `<div class="line">${escapeHtml(line)}</div>`).join('')}
+                    <div class="code">${escapeHtml(label.code)}</div>
+                </div>
+            </div>`;
+    }));
+
+    const pages = [];
+    for (let i = 0; i < cells.length; i += perPage) {
+        pages.push(`<div class="sheet">${cells.slice(i, i + perPage).join('')}</div>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        @page { size: A4; margin: 0; }
+        body { margin: 0; font-family: 'Noto Sans JP', sans-serif; background: #e5e7eb; }
+        .toolbar { padding: 8px; }
+        .sheet {
+            width: 210mm; height: 297mm; box-sizing: border-box; background: white;
+            margin: 8px auto; padding: ${spec.top}mm 0 0 ${spec.left}mm;
+            display: grid;
+            grid-template-columns: repeat(${spec.columns}, ${spec.width}mm);
+            grid-auto-rows: ${spec.height}mm;
+            column-gap: ${spec.gapX}mm; row-gap: ${spec.gapY}mm;
+            page-break-after: always;
+        }
+        .label { display: flex; align-items: center; overflow: hidden; padding: 2mm; box-sizing: border-box; }
+        .qr { width: ${qrSize}mm; height: ${qrSize}mm; flex-shrink: 0; margin-right: 2mm; }
+        .qr svg { width: 100%; height: 100%; }
+        .text { overflow: hidden; font-size: 8pt; line-height: 1.3; }
+        .title { font-weight: bold; font-size: 10pt; }
+        .code { color: #555; font-size: 7pt; }
+        @media screen { .label { outline: 1px dashed #ccc; } }
+        @media print {
+            body { background: white; }
+            .toolbar { display: none; }
+            .sheet { margin: 0; }
+        }
+    </style>
+</head>
+<body>
+    <div class="toolbar">
+        <button onclick="window.print()">印刷</button>
+        <span>${escapeHtml(spec.label)} / ${labels.length} 枚</span>
+    </div>
+    ${pages.join('')}
+</body>
+</html>`;
+};
+
+module.exports = {
+    LAYOUTS,
+    locationCode,
+    lotCode,
+    parseScanCode,
+    renderLabelSheet
+};
@@ -0,0 +1,175 @@
+const { Client, Filter, InvalidCredentialsError } = require('ldapts');
+const roles = require('./roles');
+
+/* LDAP / Active Directory によるログイン
+   ドメインのアカウントのパスワードで確認し、所属グループから権限を決めます。ユーザーの作成・更新は lib/auth.js で行います。
+
+   設定 (.env):
+     LDAP_ENABLED              true で有効
+     LDAP_URL                  例: ldap://dc01.example.local:389 / ldaps://dc01.example.local:636
+     LDAP_STARTTLS             true で ldap:// の接続を StartTLS で暗号化
+     LDAP_TLS_REJECT_UNAUTHORIZED  false で証明書を検証しない (検証環境のみ)
+     LDAP_BIND_DN, LDAP_BIND_PASSWORD  ユーザーを検索するためのサービスアカウント
+     LDAP_USER_DN              サービスアカウントを使わない場合のバインドDN ({name} がユーザー名に置き換わる)
+                               例: {name}@example.local (AD) / uid={name},ou=people,dc=example,dc=org
+     LDAP_SEARCH_BASE          ユーザーを検索する場所 (例: dc=example,dc=local)
+     LDAP_USER_FILTER          既定: (|(sAMAccountName={name})(uid={name}))
+     LDAP_NAME_ATTRIBUTE       氏名 (User.name_jp) にする属性 (既定: displayName、なければ cn)
+     LDAP_GROUP_SEARCH_BASE    グループを検索する場所。未指定ならユーザーの memberOf 属性を使う
+     LDAP_GROUP_FILTER         既定: (|(member={dn})(uniqueMember={dn})(memberUid={name}))
+     LDAP_GROUP_ROLES          グループと権限の対応 (JSON、キーはグループのDNまたはCN)
+                               例: {"bichiku-admins":"admin","CN=総務課,OU=Groups,DC=example,DC=local":"editor"}
+     LDAP_DEFAULT_ROLE         どのグループにも当てはまらない場合の権限 (既定: viewer、none でログイン不可)
+     LDAP_LOCAL_USERS          ディレクトリで確認しないユーザー名 (カンマ区切り、例: LDAP_LOCAL_USERS=admin,scanner)
+                               既存のユーザーは、ユーザー管理画面でログイン方法を「ディレクトリ」にしない限り
+                               常にこのシステムのパスワードで確認するため、ここに含めなくても乗っ取られることはありません。
+                               未登録の名前を含めると、同じ名前のディレクトリのアカウントからユーザーが作成されなくなります
+
+   ローカルで試す場合は OpenLDAP のコンテナに ldap/sample.ldif を読み込みます:
+     docker run -d --name openldap -p 389:389 -e LDAP_ORGANISATION=Example -e LDAP_DOMAIN=example.org \
+       -e LDAP_ADMIN_PASSWORD=admin osixia/openldap:1.5.0
+     docker cp ldap/sample.ldif openldap:/tmp/sample.ldif
+     docker exec openldap ldapadd -x -D cn=admin,dc=example,dc=org -w admin -f /tmp/sample.ldif
+     LDAP_ENABLED=true LDAP_URL=ldap://localhost:389 LDAP_BIND_DN=cn=admin,dc=example,dc=org LDAP_BIND_PASSWORD=admin
+     LDAP_SEARCH_BASE=ou=people,dc=example,dc=org LDAP_GROUP_SEARCH_BASE=ou=groups,dc=example,dc=org
+     LDAP_GROUP_ROLES={"bichiku-admins":"admin","bichiku-editors":"editor"}
+*/
+
+const parseGroupRoles = (value) => {
+    if (!value) return {};
+    const parsed = JSON.parse(value);
+    for (const [group, role] of Object.entries(parsed)) {
+        if (!roles.ROLES.includes(role)) throw new Error(`Invalid role in LDAP_GROUP_ROLES for ${group}: ${role}`);
+    }
+    return parsed;
+};
+
+const SETTINGS = {
+    enabled: process.env.LDAP_ENABLED === 'true',
+    url: process.env.LDAP_URL,
+    startTls: process.env.LDAP_STARTTLS === 'true',
+    tlsOptions: { rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false' },
+    bindDn: process.env.LDAP_BIND_DN,
+    bindPassword: process.env.LDAP_BIND_PASSWORD || '',
+    userDn: process.env.LDAP_USER_DN,
+    searchBase: process.env.LDAP_SEARCH_BASE,
+    userFilter: process.env.LDAP_USER_FILTER || '(|(sAMAccountName={name})(uid={name}))',
+    nameAttribute: process.env.LDAP_NAME_ATTRIBUTE || 'displayName',
+    groupSearchBase: process.env.LDAP_GROUP_SEARCH_BASE,
+    groupFilter: process.env.LDAP_GROUP_FILTER || '(|(member={dn})(uniqueMember={dn})(memberUid={name}))',
+    groupRoles: parseGroupRoles(process.env.LDAP_GROUP_ROLES),
+    defaultRole: process.env.LDAP_DEFAULT_ROLE || 'viewer',
+    localUsers: (process.env.LDAP_LOCAL_USERS || '')
+        .split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+};
+
+const isEnabled = () => SETTINGS.enabled;
+
+// LDAP_LOCAL_USERS に含まれるユーザーはディレクトリを使わない
+const isLocalOnly = (name) => SETTINGS.localUsers.includes(String(name).toLowerCase());
+
+// DNの値のエスケープ (RFC 4514)
+const escapeDnValue = (value) => String(value)
+    .replace(/[\\,+"<>;=]/g, char => `\\${char}`)
+    .replace(/^[ #]/, char => `\\${char}`)
+    .replace(/ $/, '\\ ');
+
+const fillTemplate = (template, values, escape) => template.replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] !== undefined ? escape(values[key]) : match
+));
+
+const firstValue = (value) => {
+    const first = Array.isArray(value) ? value[0] : value;
+    return first === undefined || first === null ? null : first.toString();
+};
+
+const listValue = (value) => (value === undefined ? [] : [].concat(value).map(item => item.toString()));
+
+// 'CN=総務課,OU=Groups,...' → '総務課'
+const commonName = (dn) => {
+    const match = /^cn=((?:\\.|[^,])+)/i.exec(dn);
+    return match ? match[1].replace(/\\(.)/g, '$1') : dn;
+};
+
+/* 所属グループから権限を決める (複数当てはまる場合は最も強い権限)
+   LDAP_GROUP_ROLES が未設定なら null (権限はこのシステムで管理する)、どのグループにも当てはまらなければ LDAP_DEFAULT_ROLE
+*/
+const roleForGroups = (groups, { groupRoles, defaultRole } = SETTINGS) => {
+    const entries = Object.entries(groupRoles);
+    if (entries.length === 0) return null;
+    const names = new Set(groups.flatMap(dn => [dn.toLowerCase(), commonName(dn).toLowerCase()]));
+    const matched = entries.filter(([group]) => names.has(group.toLowerCase())).map(([, role]) => role);
+    if (matched.length === 0) return defaultRole === roles.NO_ACCESS ? null : defaultRole;
+    return roles.ROLES.find(role => matched.includes(role));
+};
+
+const findUser = async (client, name) => {
+    const filter = fillTemplate(SETTINGS.userFilter, { name }, Filter.escape);
+    const { searchEntries } = await client.search(SETTINGS.searchBase, {
+        scope: 'sub',
+        filter,
+        sizeLimit: 2,
+        attributes: ['dn', SETTINGS.nameAttribute, 'cn', 'memberOf', 'sAMAccountName', 'uid']
+    });
+    if (searchEntries.length !== 1) return null; // 見つからない・複数ある場合はログインさせない
+    return searchEntries[0];
+};
+
+const findGroups = async (client, entry, name) => {
+    if (!SETTINGS.groupSearchBase) return listValue(entry.memberOf);
+    const filter = fillTemplate(SETTINGS.groupFilter, { dn: entry.dn, name }, Filter.escape);
+    const { searchEntries } = await client.search(SETTINGS.groupSearchBase, { scope: 'sub', filter, attributes: ['dn'] });
+    return searchEntries.map(group => group.dn);
+};
+
+/* ディレクトリのパスワードで確認する
+   成功すると { name, displayName, groups, role, denied } を返し、パスワードの誤りやユーザーが見つからない場合は null を返します。
+   role が null の場合は、LDAP_GROUP_ROLES が未設定なら権限を変更せず、denied が true ならログインさせません。
+   ディレクトリに接続できない場合は例外を投げます。
+*/
+const authenticate = async (name, password) => {
+    // 空のパスワードは匿名バインドとして成功してしまうため、ディレクトリに問い合わせない
+    if (!name || !password) return null;
+
+    const client = new Client({ url: SETTINGS.url, timeout: 5000, connectTimeout: 5000, tlsOptions: SETTINGS.tlsOptions });
+    try {
+        if (SETTINGS.startTls) await client.startTLS(SETTINGS.tlsOptions);
+
+        let entry;
+        let groups;
+        if (SETTINGS.bindDn) {
+            // サービスアカウントでユーザーとグループを検索してから、ユーザーのパスワードでバインドする
+            await client.bind(SETTINGS.bindDn, SETTINGS.bindPassword);
+            entry = await findUser(client, name);
+            if (!entry) return null;
+            groups = await findGroups(client, entry, name);
+            await client.bind(entry.dn, password);
+        } else {
+            await client.bind(fillTemplate(SETTINGS.userDn, { name }, escapeDnValue), password);
+            entry = SETTINGS.searchBase ? await findUser(client, name) : null;
+            groups = entry ? await findGroups(client, entry, name) : [];
+        }
+
+        const role = roleForGroups(groups);
+        return {
+            name: firstValue(entry && (entry.sAMAccountName || entry.uid)) || name,
+            displayName: entry ? firstValue(entry[SETTINGS.nameAttribute]) || firstValue(entry.cn) : null,
+            groups,
+            role,
+            denied: role === null && Object.keys(SETTINGS.groupRoles).length > 0
+        };
+    } catch (err) {
+        if (err instanceof InvalidCredentialsError) return null;
+        throw err;
+    } finally {
+        await client.unbind().catch(() => {});
+    }
+};
+
+module.exports = {
+    isEnabled,
+    isLocalOnly,
+    authenticate,
+    roleForGroups,
+    escapeDnValue
+};
@@ -0,0 +1,19 @@
+/* 日付 (YYYY-MM-DD) のヘルパー
+   toISOString() は UTC の日付になるため、日本時間の 0時〜9時には前日になります。
+   画面・アラート・出力で同じ「今日」を使うよう、日付はサーバーのローカル時刻で求めます。
+*/
+
+// Date を YYYY-MM-DD (ローカル時刻の日付) に変換
+const toDateString = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// 今日の日付 (YYYY-MM-DD)
+const todayString = () => toDateString(new Date());
+
+module.exports = {
+    toDateString,
+    todayString
+};
@@ -0,0 +1,93 @@
+/* 保管場所の階層 (敷地 / 建物 / フロア / 部屋)
+   StorageLocation は ParentId で親を指し、level で階層を表します。
+   在庫記録は通常「部屋」に登録しますが、上位の階層を指定して絞り込み・集計できます。
+*/
+
+const LEVELS = ['site', 'building', 'floor', 'room'];
+
+const LEVEL_LABELS = {
+    site: '敷地',
+    building: '建物',
+    floor: 'フロア',
+    room: '部屋'
+};
+
+const toMap = (locations) => new Map(locations.map(location => [location.id, location]));
+
+// 自分から最上位までの保管場所 (自分が先頭)
+const ancestorsOf = (map, id) => {
+    const chain = [];
+    const seen = new Set();
+    let current = map.get(Number(id));
+    while (current && !seen.has(current.id)) {
+        chain.push(current);
+        seen.add(current.id);
+        current = current.ParentId ? map.get(current.ParentId) : null;
+    }
+    return chain;
+};
+
+// 「本部 > 本館 > 1階 > 倉庫A」のような表示名
+const pathOf = (map, id) => ancestorsOf(map, id).reverse().map(location => location.name).join(' > ');
+
+// 指定した階層の祖先 (自分を含む)。該当がなければ null
+const ancestorAtLevel = (map, id, level) => ancestorsOf(map, id).find(location => location.level === level) || null;
+
+// 自分と配下すべての保管場所ID
+const descendantIds = (locations, id) => {
+    const ids = [Number(id)];
+    for (let i = 0; i < ids.length; i++) {
+        for (const location of locations) {
+            if (location.ParentId === ids[i] && !ids.includes(location.id)) ids.push(location.id);
+        }
+    }
+    return ids;
+};
+
+/* 親子関係の検証 (問題があればエラーメッセージを返す)
+   親は自分より上位の階層であること、子は自分より下位の階層であること、循環しないこと。
+*/
+const validatePlacement = (locations, { id, level, parentId }) => {
+    if (!LEVELS.includes(level)) return `level must be one of ${LEVELS.join(', ')}`;
+    const map = toMap(locations);
+
+    if (parentId) {
+        const parent = map.get(Number(parentId));
+        if (!parent) return 'Parent location not found';
+        if (LEVELS.indexOf(parent.level) >= LEVELS.indexOf(level)) {
+            return `A ${level} cannot be placed under a ${parent.level}`;
+        }
+        if (id && ancestorsOf(map, parent.id).some(location => location.id === Number(id))) {
+            return 'A location cannot be moved under its own descendant';
+        }
+    }
+
+    if (id) {
+        const child = locations.find(location => location.ParentId === Number(id)
+            && LEVELS.indexOf(location.level) <= LEVELS.indexOf(level));
+        if (child) return `Child location "${child.name}" must be below ${level} level`;
+    }
+    return null;
+};
+
+// 画面表示用に path と level の表示名を付ける
+const withPaths = (locations) => {
+    const map = toMap(locations);
+    return locations.map(location => ({
+        ...(location.toJSON ? location.toJSON() : location),
+        path: pathOf(map, location.id),
+        levelLabel: LEVEL_LABELS[location.level]
+    }));
+};
+
+module.exports = {
+    LEVELS,
+    LEVEL_LABELS,
+    toMap,
+    ancestorsOf,
+    pathOf,
+    ancestorAtLevel,
+    descendantIds,
+    validatePlacement,
+    withPaths
+};
@@ -0,0 +1,106 @@
+const { User, LoginEvent } = require('../models');
+
+/* ログインの総当たり対策 (.env で変更できます)
+   - アカウントごと: LOGIN_MAX_FAILURES 回続けて失敗すると LOGIN_LOCK_MINUTES 分ロックします (User.locked_until)
+   - IPアドレスごと: LOGIN_IP_WINDOW_MINUTES 分の間に LOGIN_IP_MAX_FAILURES 回失敗すると LOGIN_LOCK_MINUTES 分ロックします
+     IPアドレスの記録はメモリ上にあるため、サーバーを再起動すると消えます。
+   ロックは LoginEvent に記録し、管理者はユーザー管理画面で確認・解除できます。
+*/
+
+const toInt = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+const MAX_FAILURES = toInt(process.env.LOGIN_MAX_FAILURES, 5);
+const IP_MAX_FAILURES = toInt(process.env.LOGIN_IP_MAX_FAILURES, 20);
+const IP_WINDOW_MS = toInt(process.env.LOGIN_IP_WINDOW_MINUTES, 15) * 60 * 1000;
+const LOCK_MS = toInt(process.env.LOGIN_LOCK_MINUTES, 15) * 60 * 1000;
+
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:/, '');
+
+// IPアドレス → { failures: [失敗した時刻], lockedUntil }
+const ipFailures = new Map();
+
+const pruneIps = (now) => {
+    for (const [ip, entry] of ipFailures) {
+        entry.failures = entry.failures.filter(time => now - time < IP_WINDOW_MS);
+        if (entry.failures.length === 0 && !(entry.lockedUntil > now)) ipFailures.delete(ip);
+    }
+};
+
+// ロック中なら解除される時刻を返す
+const ipLockedUntil = (ip) => {
+    const entry = ipFailures.get(normalizeIp(ip));
+    return entry && entry.lockedUntil > Date.now() ? new Date(entry.lockedUntil) : null;
+};
+
+const accountLockedUntil = (user) => (
+    user && user.locked_until && user.locked_until > new Date() ? user.locked_until : null
+);
+
+// ロック中の場合に返すメッセージ
+const lockedMessage = (until) => {
+    const minutes = Math.max(Math.ceil((until - Date.now()) / 60000), 1);
+    return `ログインの失敗が続いたため、一時的にロックされています。${minutes}分後に再度お試しください`;
+};
+
+/* パスワードの誤りを記録する
+   name は入力されたユーザー名、user はそのユーザー (存在しない場合は null) です。
+*/
+const recordFailure = async (req, name, user) => {
+    const ip = normalizeIp(req.ip);
+    const now = Date.now();
+    pruneIps(now);
+
+    const entry = ipFailures.get(ip) || { failures: [], lockedUntil: 0 };
+    entry.failures.push(now);
+    ipFailures.set(ip, entry);
+    if (entry.failures.length >= IP_MAX_FAILURES) {
+        entry.failures = [];
+        entry.lockedUntil = now + LOCK_MS;
+        console.warn(`Login locked for IP ${ip}`);
+        await LoginEvent.create({
+            event: 'ip_lockout', user_name: name || null, ip, locked_until: new Date(entry.lockedUntil),
+            detail: `${IP_WINDOW_MS / 60000}分間に${IP_MAX_FAILURES}回失敗`
+        });
+    }
+
+    if (!user) return;
+    // 同時に失敗しても数え漏れがないよう、データベース上で加算する
+    await User.increment('failed_login_count', { where: { id: user.id } });
+    const { failed_login_count: failures } = await User.findByPk(user.id, { attributes: ['failed_login_count'] });
+    if (failures < MAX_FAILURES) return;
+
+    const lockedUntil = new Date(now + LOCK_MS);
+    await User.update({ failed_login_count: 0, locked_until: lockedUntil }, { where: { id: user.id } });
+    console.warn(`Login locked for user ${user.name}`);
+    await LoginEvent.create({
+        event: 'lockout', UserId: user.id, user_name: user.name, ip, locked_until: lockedUntil,
+        detail: `${MAX_FAILURES}回続けて失敗`
+    });
+};
+
+// ログインに成功したらアカウントの失敗回数を戻す
+const recordSuccess = async (user) => {
+    if (user.failed_login_count === 0 && !user.locked_until) return;
+    await User.update({ failed_login_count: 0, locked_until: null }, { where: { id: user.id } });
+};
+
+// 管理者によるロック解除 (admin は解除した管理者)
+const unlock = async (req, user, admin) => {
+    await User.update({ failed_login_count: 0, locked_until: null }, { where: { id: user.id } });
+    await LoginEvent.create({
+        event: 'unlock', UserId: user.id, user_name: user.name, ip: normalizeIp(req.ip),
+        detail: `${admin.name} が解除`
+    });
+};
+
+module.exports = {
+    ipLockedUntil,
+    accountLockedUntil,
+    lockedMessage,
+    recordFailure,
+    recordSuccess,
+    unlock
+};
@@ -0,0 +1,83 @@
+const bcrypt = require('bcryptjs');
+
+/* パスワードのルール (.env で変更できます)
+   - PASSWORD_MIN_LENGTH: 最小の文字数 (既定 10)
+   - PASSWORD_REQUIRED_CLASSES: 英小文字・英大文字・数字・記号のうち、含める必要がある種類の数 (既定 3)
+   - PASSWORD_HISTORY: 本人が変更する際に使えない過去のパスワードの数 (既定 5、現在のパスワードを含む)
+   管理者が設定したパスワードは仮のパスワードとして扱い、次のログインで本人に変更してもらいます。
+*/
+
+const toInt = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+const POLICY = {
+    minLength: toInt(process.env.PASSWORD_MIN_LENGTH, 10),
+    requiredClasses: Math.min(toInt(process.env.PASSWORD_REQUIRED_CLASSES, 3), 4),
+    history: toInt(process.env.PASSWORD_HISTORY, 5)
+};
+
+const CHARACTER_CLASSES = [
+    { label: '英小文字', pattern: /[a-z]/ },
+    { label: '英大文字', pattern: /[A-Z]/ },
+    { label: '数字', pattern: /[0-9]/ },
+    { label: '記号', pattern: /[^a-zA-Z0-9]/ }
+];
+
+// 画面に表示するルールの説明
+const describePolicy = () => {
+    const rules = [`${POLICY.minLength}文字以上`];
+    if (POLICY.requiredClasses > 0) {
+        rules.push(`${CHARACTER_CLASSES.map(c => c.label).join('・')}のうち${POLICY.requiredClasses}種類以上を含む`);
+    }
+    rules.push('ユーザー名を含まない');
+    if (POLICY.history > 0) rules.push(`過去${POLICY.history}回に使ったパスワードは使えない`);
+    return { ...POLICY, rules };
+};
+
+// ルールに合わない場合はエラーメッセージを返す (過去のパスワードとの比較は isReused で行う)
+const checkPassword = (password, name) => {
+    if (typeof password !== 'string' || password.length < POLICY.minLength) {
+        return `パスワードは${POLICY.minLength}文字以上にしてください`;
+    }
+    const classes = CHARACTER_CLASSES.filter(c => c.pattern.test(password)).length;
+    if (classes < POLICY.requiredClasses) {
+        return `パスワードには${CHARACTER_CLASSES.map(c => c.label).join('・')}のうち${POLICY.requiredClasses}種類以上を含めてください`;
+    }
+    if (name && password.toLowerCase().includes(String(name).toLowerCase())) {
+        return 'パスワードにユーザー名を含めることはできません';
+    }
+    return null;
+};
+
+// 現在のパスワードと過去のパスワードのいずれかと同じなら true
+const isReused = async (password, user) => {
+    if (POLICY.history === 0) return false;
+    const hashes = [user.password, ...(user.password_history || [])].slice(0, POLICY.history);
+    for (const hash of hashes) {
+        if (hash && await bcrypt.compare(password, hash)) return true;
+    }
+    return false;
+};
+
+/* パスワードを変更するときに User に保存する値
+   user には変更前のユーザー (新規作成では null)、mustChange には次のログインで変更が必要かを指定します。
+*/
+const passwordValues = async (user, password, { mustChange = false } = {}) => {
+    const history = user ? [user.password, ...(user.password_history || [])].filter(Boolean) : [];
+    return {
+        password: await bcrypt.hash(password, 10),
+        password_history: history.slice(0, Math.max(POLICY.history - 1, 0)),
+        password_changed_at: new Date(),
+        must_change_password: mustChange
+    };
+};
+
+module.exports = {
+    POLICY,
+    describePolicy,
+    checkPassword,
+    isReused,
+    passwordValues
+};
@@ -0,0 +1,93 @@
+const { fiscalYearOf } = require('./fiscalYear');
+
+/* 更新計画 (買い替え予算) の試算
+   備蓄品ごとに、各年度の「期限を迎える数量」と「目標数量を保つために購入する数量」を求めます。
+
+   1. 年度の初めの在庫から、その年度に消費期限を迎える数量を差し引く
+      (すでに期限切れのロットは初年度に期限を迎えるものとして扱う)
+   2. 目標数量に届かない分を、その年度に購入する
+   3. 購入分は保存年数 (shelf_life_months) 後の年度に再び期限を迎える
+      (保存年数が未設定の場合、試算期間中は期限を迎えないものとする)
+
+   目標数量が設定されていない備蓄品は、現在の在庫数を目標とみなします。
+*/
+
+/* bichikuhins: Bichikuhin (unit_price, shelf_life_months, Unit を含む)
+   records: 試算の元にする在庫記録 (対処済み・削除済みは除いておく)
+   targets: Map<備蓄品ID, 目標数量の合計>
+*/
+const buildForecast = ({ bichikuhins, records, targets, startFiscalYear, years }) => {
+    const fiscalYears = Array.from({ length: years }, (_, i) => startFiscalYear + i);
+    const lastFiscalYear = fiscalYears[fiscalYears.length - 1];
+
+    const items = [];
+    for (const bichikuhin of bichikuhins) {
+        const lots = records.filter(record => record.BichikuhinId === bichikuhin.id && record.quantity > 0);
+        const target = targets.get(bichikuhin.id);
+        if (lots.length === 0 && !target) continue;
+
+        // 年度ごとに期限を迎える数量
+        const expiring = new Map(fiscalYears.map(year => [year, 0]));
+        let stock = 0;
+        for (const lot of lots) {
+            stock += lot.quantity;
+            if (!lot.expiry_date) continue;
+            const year = Math.max(fiscalYearOf(lot.expiry_date), startFiscalYear);
+            if (year <= lastFiscalYear) expiring.set(year, expiring.get(year) + lot.quantity);
+        }
+
+        const targetQuantity = target !== undefined ? target : stock;
+        const unitPrice = bichikuhin.unit_price !== null && bichikuhin.unit_price !== undefined
+            ? Number(bichikuhin.unit_price)
+            : null;
+        const shelfLifeYears = bichikuhin.shelf_life_months ? Math.floor(bichikuhin.shelf_life_months / 12) : null;
+
+        const row = {
+            bichikuhinId: bichikuhin.id,
+            name: bichikuhin.name,
+            unit: bichikuhin.Unit ? bichikuhin.Unit.name : '',
+            unitPrice,
+            shelfLifeMonths: bichikuhin.shelf_life_months || null,
+            currentStock: stock,
+            target: targetQuantity,
+            years: []
+        };
+
+        for (const year of fiscalYears) {
+            const expiringQuantity = expiring.get(year);
+            stock -= expiringQuantity;
+            const purchase = Math.max(targetQuantity - stock, 0);
+            stock += purchase;
+            // 保存年数が1年未満の場合も、翌年度以降に期限を迎えるものとする
+            if (purchase > 0 && shelfLifeYears !== null) {
+                const renewYear = year + Math.max(shelfLifeYears, 1);
+                if (renewYear <= lastFiscalYear) expiring.set(renewYear, expiring.get(renewYear) + purchase);
+            }
+            row.years.push({
+                fiscalYear: year,
+                expiring: expiringQuantity,
+                purchase,
+                cost: unitPrice !== null ? Math.round(purchase * unitPrice) : null
+            });
+        }
+        items.push(row);
+    }
+
+    const totals = fiscalYears.map((year, i) => ({
+        fiscalYear: year,
+        cost: items.reduce((sum, item) => sum + (item.years[i].cost || 0), 0),
+        // 単価未設定で金額に含められなかった品目数
+        unpricedItems: items.filter(item => item.unitPrice === null && item.years[i].purchase > 0).length
+    }));
+
+    return {
+        fiscalYears,
+        items,
+        totals,
+        grandTotal: totals.reduce((sum, total) => sum + total.cost, 0)
+    };
+};
+
+module.exports = {
+    buildForecast
+};
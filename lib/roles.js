@@ -0,0 +1,84 @@
+/* ユーザーの権限 (ロール)
+   上位の権限は下位の権限でできる操作をすべて含みます。
+   - admin: マスター管理・ユーザー管理・確定の取消などを含むすべての操作
+   - editor: 在庫・棚卸・骨董品などの登録や更新
+   - viewer: 閲覧のみ
+
+   User.role は全体の権限で、アプリごとに User.app_roles ({ kikai: 'none', kottouhin: 'editor' } など) で上書きできます。
+   'none' を指定したアプリは利用できません。ユーザー管理は全体の権限が admin のユーザーのみ行えます。
+*/
+
+const ROLES = ['admin', 'editor', 'viewer'];
+
+const ROLE_LABELS = {
+    admin: '管理者',
+    editor: '編集者',
+    viewer: '閲覧者'
+};
+
+// 権限を分けて管理するアプリ (app_roles のキー)
+const APPS = {
+    bichikuhin: '備蓄品管理',
+    kottouhin: '骨董品',
+    reservations: '会議室予約',
+    kikai: '機械ロール'
+};
+
+const NO_ACCESS = 'none';
+
+// 権限を導入する前に登録された 'user' は編集者として扱う (それ以外の不明な値は閲覧者)
+const roleOf = (user) => {
+    if (!user) return null;
+    if (user.role === 'user') return 'editor';
+    return ROLES.includes(user.role) ? user.role : 'viewer';
+};
+
+// アプリでの権限 (利用できない場合は null)
+const appRoleOf = (user, app) => {
+    if (!user) return null;
+    const override = (user.app_roles || {})[app];
+    if (!override) return roleOf(user);
+    if (override === NO_ACCESS) return null;
+    return ROLES.includes(override) ? override : 'viewer';
+};
+
+const appRolesOf = (user) => Object.fromEntries(Object.keys(APPS).map(app => [app, appRoleOf(user, app)]));
+
+// app を省略した場合は全体の権限で判定する
+const hasRole = (user, role, app) => {
+    const current = app ? appRoleOf(user, app) : roleOf(user);
+    return current !== null && ROLES.indexOf(current) <= ROLES.indexOf(role);
+};
+
+// authenticateToken の後に使う (req.user の権限が role 以上でなければ 403)
+const requireRole = (role, app) => (req, res, next) => {
+    if (!hasRole(req.user, role, app)) {
+        if (req.path.startsWith('/api/')) return res.status(403).json({ message: 'アクセス権がありません' });
+        return res.status(403).send('アクセス権がありません');
+    }
+    next();
+};
+
+// app_roles の検証 (問題があればエラーメッセージを返す)
+const validateAppRoles = (appRoles) => {
+    if (appRoles === null) return null;
+    if (typeof appRoles !== 'object' || Array.isArray(appRoles)) return 'app_roles must be an object';
+    for (const [app, role] of Object.entries(appRoles)) {
+        if (!APPS[app]) return `Unknown app: ${app}`;
+        if (role && role !== NO_ACCESS && !ROLES.includes(role)) return `Invalid role for ${app}: ${role}`;
+    }
+    return null;
+};
+
+module.exports = {
+    ROLES,
+    ROLE_LABELS,
+    APPS,
+    NO_ACCESS,
+    roleOf,
+    appRoleOf,
+    appRolesOf,
+    hasRole,
+    requireRole,
+    validateAppRoles
+};
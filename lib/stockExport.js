@@ -0,0 +1,87 @@
+const iconv = require('iconv-lite');
+const ExcelJS = require('exceljs');
+
+/* 在庫記録などの出力用ヘルパー
+   CSV は日本語版 Windows の Excel でそのまま開けるよう CP932 (Windows-31J)・CRLF で出力します。
+*/
+
+const COLUMNS = [
+    { header: '保管場所', key: 'location', width: 24 },
+    { header: '品名', key: 'name', width: 32 },
+    { header: '単位', key: 'unit', width: 8 },
+    { header: '数量', key: 'quantity', width: 10 },
+    { header: '消費期限', key: 'expiryDate', width: 12 },
+    { header: '対処済み', key: 'taishozumi', width: 10 },
+    { header: '備考', key: 'bikou', width: 40 }
+];
+
+// StockRecord (Bichikuhin, Unit, StorageLocation を含む) を出力用の行に変換する
+const toRow = (record) => ({
+    location: record.StorageLocation ? record.StorageLocation.name : '',
+    name: record.Bichikuhin ? record.Bichikuhin.name : '',
+    unit: record.Bichikuhin && record.Bichikuhin.Unit ? record.Bichikuhin.Unit.name : '',
+    quantity: record.quantity,
+    expiryDate: record.expiry_date || '',
+    taishozumi: record.taishozumi ? '済' : '',
+    bikou: record.bikou || ''
+});
+
+const escapeCsv = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// JIS の対応表による文字 (Mac などから入力される 〜 − など) は CP932 にないため、Windows の同じ字形の文字に置き換える
+const CP932_REPLACEMENTS = {
+    '\u301C': '\uFF5E', // 〜 → ～
+    '\u2212': '\uFF0D', // − → －
+    '\u2016': '\u2225', // ‖ → ∥
+    '\u2014': '\u2015', // — → ―
+    '\u00A2': '\uFFE0', // ¢ → ￠
+    '\u00A3': '\uFFE1', // £ → ￡
+    '\u00AC': '\uFFE2'  // ¬ → ￢
+};
+
+const toCp932 = (text) => iconv.encode(text.replace(/[\u301C\u2212\u2016\u2014\u00A2\u00A3\u00AC]/g, c => CP932_REPLACEMENTS[c]), 'CP932');
+
+const toCsv = (columns, rows) => {
+    const lines = [columns.map(c => c.header).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(c => escapeCsv(row[c.key])).join(','));
+    }
+    return toCp932(lines.join('\r\n') + '\r\n');
+};
+
+const toXlsx = async (columns, rows, sheetName) => {
+    const workbook = new ExcelJS.Workbook();
+    // シート名は記号 []:*?/\ を使えず、31文字まで
+    const worksheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, '').slice(0, 31));
+    worksheet.columns = columns;
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    rows.forEach(row => worksheet.addRow(row));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/* 任意の表を format (csv / xlsx) に応じてダウンロードとして送信する
+   columns: [{ header, key, width }], rows: key を持つオブジェクトの配列
+*/
+const sendTable = async (res, columns, rows, { format, filename, sheetName }) => {
+    const isXlsx = format === 'xlsx';
+    const body = isXlsx ? await toXlsx(columns, rows, sheetName || filename) : toCsv(columns, rows);
+    const fullName = `${filename}.${isXlsx ? 'xlsx' : 'csv'}`;
+
+    res.setHeader('Content-Type', isXlsx
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=Windows-31J');
+    res.setHeader('Content-Disposition', `attachment; filename="export.${isXlsx ? 'xlsx' : 'csv'}"; filename*=UTF-8''${encodeURIComponent(fullName)}`);
+    res.send(body);
+};
+
+// 在庫記録を出力する
+const sendExport = (res, records, options) => sendTable(res, COLUMNS, records.map(toRow), options);
+
+module.exports = {
+    sendTable,
+    sendExport
+};
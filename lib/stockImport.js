@@ -0,0 +1,238 @@
+const iconv = require('iconv-lite');
+const ExcelJS = require('exceljs');
+
+/* 在庫記録の一括取込用ヘルパー
+   CSV (UTF-8 / Shift_JIS) と .xlsx を読み込み、列の対応付けと行ごとの検証を行います。
+   データベースへの登録は呼び出し側 (apps/bichikuhinkanri.js) で行います。
+*/
+
+// 列の見出しとして認識する名前 (列の指定がない場合に使用)
+const COLUMN_ALIASES = {
+    name: ['品名', '備蓄品', '備蓄品名', 'name', 'item'],
+    location: ['保管場所', '場所', '略称', 'location'],
+    quantity: ['数量', '個数', 'quantity', 'qty'],
+    expiryDate: ['消費期限', '賞味期限', '有効期限', 'expiry', 'expiry_date'],
+    unit: ['単位', 'unit'],
+    bikou: ['備考', 'bikou', 'note', 'notes']
+};
+
+const REQUIRED_COLUMNS = ['name', 'location', 'quantity'];
+
+// ファイルを読み込めない場合のエラー (呼び出し側で 400 を返す)
+class ImportError extends Error {}
+
+// UTF-8 として不正なバイト列であれば Shift_JIS とみなす
+const decodeCsv = (buffer, encoding) => {
+    if (encoding) {
+        if (!iconv.encodingExists(encoding)) throw new ImportError(`Unsupported encoding: ${encoding}`);
+        return iconv.decode(buffer, encoding);
+    }
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return buffer.slice(3).toString('utf8');
+    }
+    const utf8 = buffer.toString('utf8');
+    return utf8.includes('\uFFFD') ? iconv.decode(buffer, 'Shift_JIS') : utf8;
+};
+
+// RFC 4180 形式のCSVを2次元配列に変換する (引用符内の改行・カンマに対応)
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => String(value).trim() !== ''));
+};
+
+// ExcelJS のセル値を文字列・数値・日付に正規化する
+const normalizeCellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.result !== undefined) return normalizeCellValue(value.result);
+        if (value.text !== undefined) return value.text;
+    }
+    return value;
+};
+
+const parseXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (err) {
+        throw new ImportError(`Could not read the xlsx file: ${err.message}`);
+    }
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row) => {
+        // row.values は1始まりの配列
+        const values = [];
+        for (let col = 1; col <= worksheet.columnCount; col++) {
+            values.push(normalizeCellValue(row.getCell(col).value));
+        }
+        rows.push(values);
+    });
+    return rows.filter(r => r.some(value => String(value).trim() !== ''));
+};
+
+/* アップロードされたファイルを行の配列 (1行目は見出し) に変換する
+   壊れた .xlsx や未対応の文字コードの場合は ImportError を投げます。
+*/
+const readRows = async (file, encoding) => {
+    const isXlsx = /\.xlsx$/i.test(file.originalname)
+        || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    if (isXlsx) return parseXlsx(file.buffer);
+    return parseCsv(decodeCsv(file.buffer, encoding));
+};
+
+// 見出し行から各項目の列番号を求める (mapping で見出し名を明示できる)
+const resolveColumns = (headers, mapping = {}) => {
+    const normalized = headers.map(h => String(h).trim().toLowerCase());
+    const columns = {};
+    for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const candidates = mapping[key] ? [mapping[key]] : aliases;
+        const index = normalized.findIndex(h => candidates.some(c => String(c).trim().toLowerCase() === h));
+        if (index >= 0) columns[key] = index;
+    }
+    return columns;
+};
+
+// 日付を YYYY-MM-DD に変換する (2025/4/1, 2025-04-01, 20250401, Excel日付に対応)
+const parseDate = (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value === 'number') {
+        // Excel のシリアル値 (1900年日付システム)
+        const date = new Date(Math.round((value - 25569) * 86400000));
+        return date.toISOString().split('T')[0];
+    }
+    const text = String(value).trim();
+    const match = /^(\d{4})[/\-.]?(\d{1,2})[/\-.]?(\d{1,2})$/.exec(text);
+    if (!match) return undefined;
+    const [, y, m, d] = match;
+    const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+    if (date.getUTCMonth() !== Number(m) - 1) return undefined;
+    return date.toISOString().split('T')[0];
+};
+
+/* 行ごとに値を取り出して検証する
+   locations / bichikuhins / units はマスターの一覧で、名前の照合に使います。
+   戻り値の rows[].errors が空でない行は登録できません。
+*/
+const buildPreview = (rawRows, { mapping, locations, bichikuhins, units }) => {
+    if (rawRows.length === 0) {
+        return { errors: ['ファイルにデータがありません'], rows: [] };
+    }
+
+    const [headers, ...dataRows] = rawRows;
+    const columns = resolveColumns(headers, mapping);
+    const missing = REQUIRED_COLUMNS.filter(key => columns[key] === undefined);
+    if (missing.length > 0) {
+        return { errors: [`必須列が見つかりません: ${missing.join(', ')}`], headers, rows: [] };
+    }
+
+    const cell = (row, key) => {
+        if (columns[key] === undefined) return '';
+        const value = row[columns[key]];
+        return typeof value === 'string' ? value.trim() : (value ?? '');
+    };
+    const findLocation = (value) => locations.find(l => l.name === value || l.ryakushou === value);
+    const findBichikuhin = (value) => bichikuhins.find(b => b.name === value);
+    const findUnit = (value) => units.find(u => u.name === value);
+
+    const newBichikuhins = new Map();
+    const newUnits = new Set();
+
+    const rows = dataRows.map((row, index) => {
+        const errors = [];
+        const name = String(cell(row, 'name'));
+        const locationValue = String(cell(row, 'location'));
+        const quantityValue = cell(row, 'quantity');
+        const unitName = String(cell(row, 'unit'));
+        const expiryDate = parseDate(cell(row, 'expiryDate'));
+        const quantity = Number(quantityValue);
+
+        if (!name) errors.push('品名が空です');
+        const location = locationValue ? findLocation(locationValue) : null;
+        if (!location) errors.push(locationValue ? `保管場所「${locationValue}」が見つかりません` : '保管場所が空です');
+        if (quantityValue === '' || !Number.isInteger(quantity) || quantity < 0) errors.push('数量は0以上の整数で入力してください');
+        if (expiryDate === undefined) errors.push(`消費期限「${cell(row, 'expiryDate')}」を日付として読み取れません`);
+
+        const bichikuhin = name ? findBichikuhin(name) : null;
+        const unit = unitName ? findUnit(unitName) : null;
+        if (bichikuhin && unitName && bichikuhin.Unit && bichikuhin.Unit.name !== unitName) {
+            errors.push(`単位「${unitName}」が登録済みの備蓄品の単位「${bichikuhin.Unit.name}」と異なります`);
+        }
+        if (name && !bichikuhin) {
+            newBichikuhins.set(name, { name, unitName: unitName || null });
+            if (unitName && !unit) newUnits.add(unitName);
+        }
+
+        return {
+            row: index + 2, // 見出し行を1行目とした行番号
+            name,
+            locationId: location ? location.id : null,
+            locationName: location ? location.name : locationValue,
+            quantity: Number.isInteger(quantity) ? quantity : null,
+            expiryDate: expiryDate || null,
+            bikou: String(cell(row, 'bikou')),
+            bichikuhinId: bichikuhin ? bichikuhin.id : null,
+            unitName: bichikuhin ? (bichikuhin.Unit ? bichikuhin.Unit.name : null) : (unitName || null),
+            isNewBichikuhin: !!name && !bichikuhin,
+            errors
+        };
+    });
+
+    return {
+        errors: [],
+        headers,
+        columns,
+        rows,
+        summary: {
+            total: rows.length,
+            valid: rows.filter(r => r.errors.length === 0).length,
+            invalid: rows.filter(r => r.errors.length > 0).length
+        },
+        newBichikuhins: [...newBichikuhins.values()],
+        newUnits: [...newUnits]
+    };
+};
+
+module.exports = {
+    ImportError,
+    readRows,
+    buildPreview
+};
@@ -0,0 +1,86 @@
+const locationTree = require('./locationTree');
+
+/* 備蓄の充足日数 (何人を何日まかなえるか) の計算
+   分類ごとに、在庫数量 × 換算係数 (consumption_factor) を合計した供給量を、
+   人数 × 1人1日あたりの必要量 (daily_need) で割って日数を求めます。
+
+   - 人数は保管場所の headcount を配下も含めて合計します (同じ人を親子の両方に登録しないこと)
+   - 換算係数が未設定の備蓄品は供給量に含めず、unconverted に名前を挙げます
+   - 必要量が未設定の分類 (資機材など) や人数が0の範囲は日数を null とします
+   records には期限切れ・対処済み・削除済みを除いた在庫記録 (Bichikuhin を含む) を渡します。
+*/
+
+const roundDown = (value, digits = 1) => Math.floor(value * 10 ** digits) / 10 ** digits;
+
+const summarize = (records, headcount, categories) => categories.map(category => {
+    const items = records.filter(record => record.Bichikuhin && record.Bichikuhin.BichikuhinCategoryId === category.id);
+    const unconverted = new Set();
+    let supply = 0;
+    for (const record of items) {
+        if (record.Bichikuhin.consumption_factor === null || record.Bichikuhin.consumption_factor === undefined) {
+            unconverted.add(record.Bichikuhin.name);
+            continue;
+        }
+        supply += record.quantity * Number(record.Bichikuhin.consumption_factor);
+    }
+    const dailyNeed = category.daily_need !== null && category.daily_need !== undefined ? Number(category.daily_need) : null;
+    return {
+        categoryId: category.id,
+        supply: roundDown(supply, 2),
+        lots: items.length,
+        unconverted: [...unconverted],
+        days: dailyNeed && headcount ? roundDown(supply / (headcount * dailyNeed)) : null
+    };
+});
+
+/* level: 集計する階層 (site / building / floor / room)
+   戻り値の groups は指定した階層の保管場所ごと、total は全体の集計です。
+*/
+const buildSufficiency = ({ locations, records, categories, level }) => {
+    const map = locationTree.toMap(locations);
+    const headcountOf = (ids) => ids.reduce((sum, id) => sum + ((map.get(id) && map.get(id).headcount) || 0), 0);
+
+    const groups = locations
+        .filter(location => location.level === level && !location.retired)
+        .map(location => {
+            const ids = new Set(locationTree.descendantIds(locations, location.id));
+            const headcount = headcountOf([...ids]);
+            return {
+                locationId: location.id,
+                name: location.name,
+                path: locationTree.pathOf(map, location.id),
+                headcount,
+                categories: summarize(records.filter(record => ids.has(record.StorageLocationId)), headcount, categories)
+            };
+        })
+        .sort((a, b) => a.path.localeCompare(b.path, 'ja'));
+
+    const totalHeadcount = headcountOf(locations.filter(location => !location.retired).map(location => location.id));
+
+    // 分類が未設定の備蓄品 (日数の計算に含まれない)
+    const uncategorized = new Map();
+    for (const record of records) {
+        if (!record.Bichikuhin || record.Bichikuhin.BichikuhinCategoryId) continue;
+        uncategorized.set(record.BichikuhinId, record.Bichikuhin.name);
+    }
+
+    return {
+        level,
+        categories: categories.map(category => ({
+            id: category.id,
+            name: category.name,
+            needUnit: category.need_unit,
+            dailyNeed: category.daily_need !== null && category.daily_need !== undefined ? Number(category.daily_need) : null
+        })),
+        groups,
+        total: {
+            headcount: totalHeadcount,
+            categories: summarize(records, totalHeadcount, categories)
+        },
+        uncategorized: [...uncategorized].map(([bichikuhinId, name]) => ({ bichikuhinId, name }))
+    };
+};
+
+module.exports = {
+    buildSufficiency
+};
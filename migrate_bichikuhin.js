@@ -0,0 +1,148 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const { sequelize, generateLotCode, User, Stocktaking, StorageLocation, BichikuhinCategory, StockRecord, StockDisposal, ExpiryAlertLog, Kottouhin, KottouhinPhoto } = require('./models');
+const kottouhinPhotos = require('./lib/kottouhinPhotos');
+
+// 階層化以前の保管場所 (親なし) をまとめる敷地の名称
+const DEFAULT_SITE_NAME = process.env.DEFAULT_SITE_NAME || '本部';
+
+// 分類が1件もない場合に登録する既定の分類 (1人1日あたりの必要量)
+const DEFAULT_CATEGORIES = [
+  { name: '飲料水', need_unit: 'L', daily_need: 3 },
+  { name: '食料', need_unit: '食', daily_need: 3 },
+  { name: '衛生用品', need_unit: '回', daily_need: 5 },
+  { name: '医療品', need_unit: null, daily_need: null },
+  { name: '資機材', need_unit: null, daily_need: null }
+];
+
+// ── Run ───────────────────────────────────────────────────
+// 備蓄品管理DBのテーブルをモデル定義に合わせて更新します
+// (app.js の起動時は新規テーブルの作成のみで、既存テーブルへの列追加は行いません)
+(async () => {
+  try {
+    await sequelize.authenticate();
+    console.log('Connection established.');
+
+    // 棚卸の状態 (status) の導入前のDBか (列の追加前に確認する)
+    const stocktakingColumns = await sequelize.getQueryInterface().describeTable('Stocktaking').catch(() => null);
+    const addsStocktakingStatus = Boolean(stocktakingColumns) && !stocktakingColumns.status;
+
+    await sequelize.sync({ alter: true });
+    console.log('Sync complete. All tables are up to date.');
+
+    // 既存の棚卸は、現在の棚卸を「棚卸中」、それ以外の過去の棚卸を「確定済」にする (すべて準備中のままだと変更できてしまう)
+    if (addsStocktakingStatus) {
+      const [finalized] = await Stocktaking.update(
+        { status: 'finalized', finalized_at: new Date() },
+        { where: { active: false }, individualHooks: true }
+      );
+      await Stocktaking.update({ status: 'counting' }, { where: { active: true }, individualHooks: true });
+      console.log(`Marked ${finalized} past stocktakings as finalized.`);
+    }
+
+    // 保管場所の階層化: 親のない部屋を既定の敷地の配下へ移す (部屋は末端のまま)
+    const orphans = await StorageLocation.findAll({ where: { level: 'room', ParentId: null } });
+    if (orphans.length > 0) {
+      const [site] = await StorageLocation.findOrCreate({
+        where: { level: 'site', name: DEFAULT_SITE_NAME },
+        defaults: { ryakushou: DEFAULT_SITE_NAME }
+      });
+      await StorageLocation.update(
+        { ParentId: site.id },
+        { where: { id: orphans.map(location => location.id) }, individualHooks: true }
+      );
+      console.log(`Moved ${orphans.length} locations under "${DEFAULT_SITE_NAME}".`);
+    }
+
+    // 権限の導入前の 'user' を編集者に移行する
+    const [migratedUsers] = await User.update({ role: 'editor' }, { where: { role: 'user' } });
+    if (migratedUsers > 0) {
+      console.log(`Changed ${migratedUsers} users from "user" to "editor".`);
+    }
+
+    // 初期パスワード (password123) のままのユーザーは次のログインでパスワードを変更してもらう
+    const defaultPasswordUsers = [];
+    for (const user of await User.findAll({ where: { must_change_password: false } })) {
+      if (await bcrypt.compare('password123', user.password)) defaultPasswordUsers.push(user.id);
+    }
+    if (defaultPasswordUsers.length > 0) {
+      await User.update({ must_change_password: true }, { where: { id: defaultPasswordUsers } });
+      console.log(`Marked ${defaultPasswordUsers.length} users with the default password to change it at next login.`);
+    }
+
+    if (await BichikuhinCategory.count() === 0) {
+      await BichikuhinCategory.bulkCreate(DEFAULT_CATEGORIES);
+      console.log(`Created ${DEFAULT_CATEGORIES.length} default categories.`);
+    }
+
+    // 対処済みのロットは、最後の対処記録でロットを対処済みにしたものとみなす (completes_lot の導入前のデータ)
+    const completedRecords = await StockRecord.findAll({
+      where: { taishozumi: true },
+      attributes: ['id'],
+      include: [{ model: StockDisposal, attributes: ['id', 'completes_lot'] }]
+    });
+    let markedDisposals = 0;
+    for (const record of completedRecords) {
+      if (record.StockDisposals.length === 0 || record.StockDisposals.some(disposal => disposal.completes_lot)) continue;
+      const latest = record.StockDisposals.reduce((a, b) => (b.id > a.id ? b : a));
+      await StockDisposal.update({ completes_lot: true }, { where: { id: latest.id } });
+      markedDisposals++;
+    }
+    if (markedDisposals > 0) {
+      console.log(`Marked ${markedDisposals} disposals as completing their lot.`);
+    }
+
+    // ロット番号導入前の在庫記録に番号を振る (ラベル印刷・読み取り用)
+    const unlabelled = await StockRecord.findAll({ where: { lot_code: null }, attributes: ['id'] });
+    for (const record of unlabelled) {
+      await StockRecord.update({ lot_code: generateLotCode() }, { where: { id: record.id } });
+    }
+    if (unlabelled.length > 0) {
+      console.log(`Assigned lot codes to ${unlabelled.length} stock records.`);
+    }
+
+    // 期限アラートの送信履歴にロット番号を付ける (ロット番号で再通知を判定するため)
+    const unkeyedLogs = await ExpiryAlertLog.findAll({ where: { lot_code: null }, include: [StockRecord] });
+    for (const log of unkeyedLogs.filter(log => log.StockRecord)) {
+      await ExpiryAlertLog.update({ lot_code: log.StockRecord.lot_code }, { where: { id: log.id } });
+    }
+    if (unkeyedLogs.length > 0) {
+      console.log(`Added lot codes to ${unkeyedLogs.length} expiry alert logs.`);
+    }
+
+    // 骨董品の写真を1枚ずつの photo 列から KottouhinPhoto へ移し、Web用サイズとサムネイルを作成する
+    const legacyPhotos = await Kottouhin.findAll({
+      where: { photo: { [Op.ne]: null } },
+      include: [KottouhinPhoto]
+    });
+    let convertedPhotos = 0;
+    for (const item of legacyPhotos.filter(item => item.KottouhinPhotos.length === 0)) {
+      const filePath = path.join(kottouhinPhotos.UPLOAD_DIR, path.basename(item.photo));
+      if (!fs.existsSync(filePath)) {
+        console.warn(`Photo file not found for kottouhin #${item.id}: ${item.photo}`);
+        continue;
+      }
+      try {
+        const photo = await kottouhinPhotos.processImage(filePath);
+        await KottouhinPhoto.create({ ...photo, is_primary: true, position: 0, KottouhinId: item.id });
+        await item.update({ photo: photo.web });
+        convertedPhotos++;
+      } catch (err) {
+        console.warn(`Could not convert photo for kottouhin #${item.id}: ${err.message}`);
+      }
+    }
+    if (convertedPhotos > 0) {
+      console.log(`Converted ${convertedPhotos} kottouhin photos to the photo gallery.`);
+    }
+
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+})();
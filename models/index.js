@@ -1,4 +1,6 @@
 const { Sequelize, DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const { enableAudit } = require('../lib/auditLog');
 require('dotenv').config();
 
 /* Sequelizeのインスタンス初期化
@@ -26,27 +28,125 @@ const User = sequelize.define('User', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     name: { type: DataTypes.STRING, allowNull: false, unique: true },
     name_jp: { type: DataTypes.STRING, allowNull: true },
-    role: { type: DataTypes.STRING },
-    password: { type: DataTypes.STRING, allowNull: false }
+    role: { type: DataTypes.STRING, defaultValue: 'viewer' }, // admin / editor / viewer (lib/roles.js)
+    password: { type: DataTypes.STRING, allowNull: false },
+    app_roles: { type: DataTypes.JSON, allowNull: true }, // アプリごとの権限 ({ kikai: 'none' } など、lib/roles.js)
+    disabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }, // 無効化されたユーザーはログインできない
+    // ログインの確認方法 (lib/auth.js の verifyCredentials): ldap = ディレクトリのみ,
+    // local と null = このシステムのパスワードのみ (既存のユーザーが自動でディレクトリに切り替わることはない。
+    // LDAP が有効な場合、ディレクトリで作成されたユーザーは ldap になる)
+    auth_source: { type: DataTypes.STRING, allowNull: true },
+    // パスワードの管理 (lib/passwordPolicy.js)
+    password_history: { type: DataTypes.JSON, allowNull: true }, // 過去のパスワードのハッシュ (新しい順)
+    password_changed_at: { type: DataTypes.DATE, allowNull: true },
+    must_change_password: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }, // 次のログインで変更が必要
+    // ログイン失敗によるロック (lib/loginThrottle.js)
+    failed_login_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    locked_until: { type: DataTypes.DATE, allowNull: true }
 });
 
+// ログインセッション (リフレッシュトークン)
+/* ログイン1回ごとに1行作成し、リフレッシュのたびに token_id を新しいものに入れ替えます (lib/auth.js)。
+   入れ替え済みの古いトークンが使われた場合は盗用とみなし、セッションごと無効にします。
+*/
+const UserSession = sequelize.define('UserSession', {
+    id: { type: DataTypes.STRING(36), primaryKey: true }, // リフレッシュトークンの sid
+    token_id: { type: DataTypes.STRING(36), allowNull: false }, // 現在有効なリフレッシュトークンの jti
+    previous_token_id: { type: DataTypes.STRING(36), allowNull: true }, // 直前のトークン (同時リクエストの猶予用)
+    rotated_at: { type: DataTypes.DATE, allowNull: true },
+    user_agent: { type: DataTypes.STRING(500), allowNull: true },
+    ip: { type: DataTypes.STRING, allowNull: true },
+    last_used_at: { type: DataTypes.DATE, allowNull: false },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    revoked_at: { type: DataTypes.DATE, allowNull: true },
+    revoked_reason: { type: DataTypes.STRING, allowNull: true } // logout / user / admin / reuse / disabled / password
+}, {
+    indexes: [{ fields: ['UserId', 'revoked_at'] }, { fields: ['expires_at'] }]
+});
+
+User.hasMany(UserSession, { foreignKey: 'UserId' });
+UserSession.belongsTo(User);
+
+// APIキー (スクリプトやサイネージ端末などログインしない利用者向け)
+/* キーそのものは発行時に一度だけ表示し、SHA-256 のハッシュだけを保存します (lib/apiKeys.js)。
+   scopes に含まれる範囲の API だけを利用できます。
+*/
+const ApiKey = sequelize.define('ApiKey', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    name: { type: DataTypes.STRING, allowNull: false }, // 用途 (例: 期限アラートのバッチ、1F サイネージ)
+    prefix: { type: DataTypes.STRING(16), allowNull: false }, // キーの先頭 (一覧でどのキーか見分けるため)
+    key_hash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    scopes: { type: DataTypes.JSON, allowNull: false }, // 例: ["records:expiring"]
+    expires_at: { type: DataTypes.DATE, allowNull: true }, // null は無期限
+    last_used_at: { type: DataTypes.DATE, allowNull: true },
+    last_used_ip: { type: DataTypes.STRING, allowNull: true },
+    revoked_at: { type: DataTypes.DATE, allowNull: true }
+});
+
+ApiKey.belongsTo(User, { as: 'CreatedBy', foreignKey: 'CreatedByUserId' });
+
+// ログインのロック記録 (管理者がユーザー管理画面で確認する)
+const LoginEvent = sequelize.define('LoginEvent', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    // lockout: アカウントのロック, ip_lockout: IPアドレスのロック, unlock: 管理者によるロック解除
+    event: { type: DataTypes.ENUM('lockout', 'ip_lockout', 'unlock'), allowNull: false },
+    user_name: { type: DataTypes.STRING, allowNull: true }, // 入力されたユーザー名 (存在しない場合もある)
+    ip: { type: DataTypes.STRING, allowNull: true },
+    locked_until: { type: DataTypes.DATE, allowNull: true },
+    detail: { type: DataTypes.STRING, allowNull: true }
+}, {
+    updatedAt: false,
+    indexes: [{ fields: ['createdAt'] }]
+});
+
+User.hasMany(LoginEvent, { foreignKey: 'UserId' });
+LoginEvent.belongsTo(User);
+
 // 保管場所マスター
+/* 敷地 > 建物 > フロア > 部屋 の階層で管理します (親は ParentId)。
+   階層の操作は lib/locationTree.js を使います。
+*/
 const StorageLocation = sequelize.define('StorageLocation', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     name: { type: DataTypes.STRING, allowNull: false },
-    ryakushou: { type: DataTypes.STRING, allowNull: false }
+    ryakushou: { type: DataTypes.STRING, allowNull: false },
+    level: {
+        type: DataTypes.ENUM('site', 'building', 'floor', 'room'),
+        allowNull: false,
+        defaultValue: 'room'
+    },
+    headcount: { type: DataTypes.INTEGER, allowNull: true }, // 在籍人数 (備蓄の充足日数の計算に使用)
+    retired: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false } // 使用停止 (選択肢に表示しない)
 });
 
+StorageLocation.belongsTo(StorageLocation, { as: 'Parent', foreignKey: 'ParentId' });
+StorageLocation.hasMany(StorageLocation, { as: 'Children', foreignKey: 'ParentId' });
+
 // 単位マスター
 const Unit = sequelize.define('Unit', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
-    name: { type: DataTypes.STRING, allowNull: false }
+    name: { type: DataTypes.STRING, allowNull: false },
+    retired: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }
+});
+
+// 備蓄品の分類マスター (水・食料・衛生用品・医療品・資機材など)
+// daily_need は1人1日あたりの必要量 (need_unit 単位、例: 水 3 L、食料 3 食)。未設定の分類は充足日数を計算しない
+const BichikuhinCategory = sequelize.define('BichikuhinCategory', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    name: { type: DataTypes.STRING, allowNull: false },
+    need_unit: { type: DataTypes.STRING, allowNull: true },
+    daily_need: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+    retired: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }
 });
 
 // 備蓄品マスター
 const Bichikuhin = sequelize.define('Bichikuhin', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     name: { type: DataTypes.STRING, allowNull: false },
+    consumption_factor: { type: DataTypes.DECIMAL(10, 3), allowNull: true }, // 1単位あたりの分類の量 (例: 2Lペットボトル 1本 = 2 L)
+    unit_price: { type: DataTypes.DECIMAL(10, 2), allowNull: true }, // 購入単価 (円、更新計画の試算に使用)
+    shelf_life_months: { type: DataTypes.INTEGER, allowNull: true }, // 購入から消費期限までの月数
+    retired: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }
 });
 
 // 在庫記録テーブル
@@ -60,7 +160,22 @@ const StockRecord = sequelize.define('StockRecord', {
     entry_timestamp: { 
         type: DataTypes.DATE, 
         defaultValue: Sequelize.NOW 
-    }
+    },
+    // ラベル用のロット番号 (棚卸のコピー時に引き継がれるため、年度をまたいで同じラベルを使えます)
+    lot_code: { type: DataTypes.STRING(16), allowNull: true }
+}, {
+    indexes: [{ fields: ['StocktakingId', 'lot_code'] }]
+});
+
+const generateLotCode = () => crypto.randomBytes(5).toString('hex').toUpperCase();
+
+StockRecord.beforeCreate((record) => {
+    if (!record.lot_code) record.lot_code = generateLotCode();
+});
+StockRecord.beforeBulkCreate((records) => {
+    records.forEach(record => {
+        if (!record.lot_code) record.lot_code = generateLotCode();
+    });
 });
 // --- リレーション（関連付け）の設定 ---
 
@@ -80,18 +195,171 @@ StockRecord.belongsTo(StorageLocation);
 Unit.hasMany(Bichikuhin, { foreignKey: 'UnitId', allowNull: true });
 Bichikuhin.belongsTo(Unit);
 
+// 分類マスターとの紐付け (BichikuhinCategoryId カラムが生成されます)
+BichikuhinCategory.hasMany(Bichikuhin, { foreignKey: 'BichikuhinCategoryId' });
+Bichikuhin.belongsTo(BichikuhinCategory);
+
 // 棚卸テーブル
 const Stocktaking = sequelize.define('Stocktaking', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     name: { type: DataTypes.STRING, allowNull: false },
     date: { type: DataTypes.DATEONLY, allowNull: false },
-    active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }
+    active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    // draft: 準備中, counting: 棚卸中, finalized: 確定済 (確定済の在庫記録は変更不可)
+    status: {
+        type: DataTypes.ENUM('draft', 'counting', 'finalized'),
+        allowNull: false,
+        defaultValue: 'draft'
+    },
+    finalized_at: { type: DataTypes.DATE, allowNull: true },
+    reopened_at: { type: DataTypes.DATE, allowNull: true },
+    reopen_reason: { type: DataTypes.STRING, allowNull: true }
 });
 
+// 確定・再開したユーザーとの紐付け
+Stocktaking.belongsTo(User, { as: 'FinalizedBy', foreignKey: 'FinalizedByUserId' });
+Stocktaking.belongsTo(User, { as: 'ReopenedBy', foreignKey: 'ReopenedByUserId' });
+
 // 棚卸テーブルとの紐付け
 Stocktaking.hasMany(StockRecord, { foreignKey: 'StocktakingId' });
 StockRecord.belongsTo(Stocktaking);
 
+// 棚卸の担当割り当て (建物・フロアなどの単位で担当者を決める)
+const StocktakingAssignment = sequelize.define('StocktakingAssignment', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true }
+}, {
+    indexes: [{ unique: true, fields: ['StocktakingId', 'StorageLocationId', 'UserId'] }]
+});
+
+Stocktaking.hasMany(StocktakingAssignment, { foreignKey: 'StocktakingId' });
+StocktakingAssignment.belongsTo(Stocktaking);
+StocktakingAssignment.belongsTo(StorageLocation);
+StocktakingAssignment.belongsTo(User);
+
+// 目標在庫テーブル
+/* 備蓄品 × 保管場所ごとの目標数量です。
+   target_quantity が未設定の場合は 人数 × 1人1日あたり数量 × 日数 から算出します。
+*/
+const StockTarget = sequelize.define('StockTarget', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    target_quantity: { type: DataTypes.INTEGER, allowNull: true },
+    headcount: { type: DataTypes.INTEGER, allowNull: true },
+    per_person_per_day: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+    days: { type: DataTypes.INTEGER, allowNull: true }
+}, {
+    indexes: [{ unique: true, fields: ['BichikuhinId', 'StorageLocationId'] }]
+});
+
+Bichikuhin.hasMany(StockTarget, { foreignKey: 'BichikuhinId' });
+StockTarget.belongsTo(Bichikuhin);
+StorageLocation.hasMany(StockTarget, { foreignKey: 'StorageLocationId' });
+StockTarget.belongsTo(StorageLocation);
+
+// 入出庫履歴テーブル
+/* StockRecord.quantity はこのテーブルの quantity の合計から算出されます。
+   quantity は増減値（入庫はプラス、消費・廃棄・移動元はマイナス）です。
+*/
+const StockMovement = sequelize.define('StockMovement', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    // receive: 入庫, consume: 消費, dispose: 廃棄, transfer: 移動, adjust: 調整
+    movement_type: {
+        type: DataTypes.ENUM('receive', 'consume', 'dispose', 'transfer', 'adjust'),
+        allowNull: false
+    },
+    quantity: { type: DataTypes.INTEGER, allowNull: false },
+    reason: { type: DataTypes.STRING, allowNull: true },
+    movement_timestamp: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+    }
+});
+
+// 在庫記録との紐付け (StockRecordId カラムが生成されます)
+StockRecord.hasMany(StockMovement, { foreignKey: 'StockRecordId' });
+StockMovement.belongsTo(StockRecord);
+
+// 移動の相手先レコード (transfer の場合のみ)
+StockMovement.belongsTo(StockRecord, { as: 'RelatedStockRecord', foreignKey: 'RelatedStockRecordId' });
+
+// 実行ユーザーとの紐付け
+User.hasMany(StockMovement, { foreignKey: 'UserId' });
+StockMovement.belongsTo(User);
+
+// 期限アラート送信履歴テーブル
+/* 同じロットを同じ期限区分で繰り返し通知しないための記録です。
+   消費期限が変更された場合は別ロットとして再通知します。
+*/
+const ExpiryAlertLog = sequelize.define('ExpiryAlertLog', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    // 棚卸のコピーで在庫記録のIDが変わっても再通知しないよう、ロット番号で判定する
+    lot_code: { type: DataTypes.STRING(16), allowNull: true },
+    horizon: { type: DataTypes.STRING, allowNull: false }, // 例: 6m, 3m, 1m, expired
+    expiry_date: { type: DataTypes.DATEONLY, allowNull: false },
+    sent_at: { type: DataTypes.DATE, allowNull: false, defaultValue: Sequelize.NOW }
+}, {
+    indexes: [{ unique: true, fields: ['lot_code', 'horizon', 'expiry_date'] }]
+});
+
+StockRecord.hasMany(ExpiryAlertLog, { foreignKey: 'StockRecordId' });
+ExpiryAlertLog.belongsTo(StockRecord);
+
+// 対処記録 (期限切れが近いロットの処分・寄贈など)
+/* 対処の内容を記録し、在庫からの払出は StockMovement として記録します。
+   ロットの対処が完了すると StockRecord.taishozumi が true になります。
+*/
+const StockDisposal = sequelize.define('StockDisposal', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    action: {
+        // drill: 訓練で消費, donation: フードバンク等へ寄贈, discard: 廃棄, redistribute: 他施設へ配布
+        type: DataTypes.ENUM('drill', 'donation', 'discard', 'redistribute'),
+        allowNull: false
+    },
+    quantity: { type: DataTypes.INTEGER, allowNull: false },
+    recipient: { type: DataTypes.STRING, allowNull: true }, // 寄贈先・配布先
+    disposal_date: { type: DataTypes.DATEONLY, allowNull: false },
+    note: { type: DataTypes.STRING, allowNull: true },
+    // この対処でロットを対処済みにしたか (取消時に StockRecord.taishozumi を残りの対処から決め直す)
+    completes_lot: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }
+});
+
+StockRecord.hasMany(StockDisposal, { foreignKey: 'StockRecordId' });
+StockDisposal.belongsTo(StockRecord);
+StockDisposal.belongsTo(StockMovement);
+User.hasMany(StockDisposal, { foreignKey: 'UserId' });
+StockDisposal.belongsTo(User);
+
+// 変更履歴 (監査ログ)
+/* 在庫記録・棚卸・マスターの作成・更新・削除を記録します。記録は lib/auditLog.js のフックで行います。
+   before_values / after_values は、更新の場合は変更された項目だけを保存します。
+*/
+const AuditLog = sequelize.define('AuditLog', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    table_name: { type: DataTypes.STRING, allowNull: false }, // モデル名 (例: StockRecord)
+    record_id: { type: DataTypes.STRING, allowNull: false },
+    action: { type: DataTypes.ENUM('create', 'update', 'delete'), allowNull: false },
+    before_values: { type: DataTypes.JSON, allowNull: true },
+    after_values: { type: DataTypes.JSON, allowNull: true },
+    user_name: { type: DataTypes.STRING, allowNull: true }, // ユーザー削除後も誰の操作か分かるように保存
+    ip: { type: DataTypes.STRING, allowNull: true }
+}, {
+    updatedAt: false,
+    indexes: [
+        { fields: ['table_name', 'record_id'] },
+        { fields: ['createdAt'] }
+    ]
+});
+
+User.hasMany(AuditLog, { foreignKey: 'UserId' });
+AuditLog.belongsTo(User);
+
+enableAudit(AuditLog, [StockRecord, StockDisposal, Bichikuhin, BichikuhinCategory, Stocktaking, Unit, StorageLocation, StockTarget, User], {
+    // 在庫記録は kubun を 0 にする論理削除
+    softDelete: { StockRecord: (before, after) => before.kubun === 1 && after.kubun === 0 },
+    // パスワードのハッシュと履歴、ログイン失敗の回数は記録しない (ロックは LoginEvent に記録される)
+    excludeFields: { User: ['password', 'password_history', 'failed_login_count'] }
+});
+
 // 骨董品カテゴリーテーブル
 const KottouhinCategory = sequelize.define('KottouhinCategory', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
@@ -102,28 +370,122 @@ const KottouhinCategory = sequelize.define('KottouhinCategory', {
 const Kottouhin = sequelize.define('Kottouhin', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     name: { type: DataTypes.STRING, allowNull: false },
-    photo: { type: DataTypes.STRING }, // 画像のパスまたはURL
-    entry_date: { type: DataTypes.DATEONLY, defaultValue: DataTypes.NOW }
+    photo: { type: DataTypes.STRING }, // 代表写真 (Web用サイズ) のパス。写真は KottouhinPhoto で管理する
+    entry_date: { type: DataTypes.DATEONLY, defaultValue: DataTypes.NOW },
+    dimensions: { type: DataTypes.STRING, allowNull: true }, // 寸法 (例: 幅30×奥行20×高さ15cm)
+    material: { type: DataTypes.STRING, allowNull: true }, // 材質 (例: 磁器、漆、青銅)
+    era: { type: DataTypes.STRING, allowNull: true }, // 時代 (例: 江戸時代後期)
+    artist: { type: DataTypes.STRING, allowNull: true }, // 作者・窯元・工房
+    acquisition_price: { type: DataTypes.INTEGER, allowNull: true }, // 取得価額 (円)
+    acquisition_source: { type: DataTypes.STRING, allowNull: true }, // 取得先 (購入先・寄贈者など)
+    notes: { type: DataTypes.TEXT, allowNull: true }, // 備考 (来歴・状態など、キーワード検索の対象)
+    // 現在の展示・保管場所と貸出先 (KottouhinMovement を記録すると更新される)
+    location: { type: DataTypes.STRING, allowNull: true },
+    lent_to: { type: DataTypes.STRING, allowNull: true }, // 貸出中のみ
+    // 手放した骨董品 (一覧・保険評価額の集計から除き、必要なら元に戻せる)
+    archived_at: { type: DataTypes.DATE, allowNull: true },
+    // sold: 売却, donated: 寄贈, lost: 紛失
+    archive_reason: { type: DataTypes.ENUM('sold', 'donated', 'lost'), allowNull: true },
+    archive_note: { type: DataTypes.STRING, allowNull: true } // 売却先・寄贈先・状況など
 });
 
 // 骨董品とカテゴリーの紐付け
 KottouhinCategory.hasMany(Kottouhin, { foreignKey: 'KottouhinCategoryId' });
 Kottouhin.belongsTo(KottouhinCategory);
+Kottouhin.belongsTo(User, { as: 'ArchivedBy', foreignKey: 'ArchivedByUserId' });
+
+// 骨董品の写真 (正面・裏面・銘・傷の拡大など、position の順に表示)
+/* アップロードした元の画像に加えて、向きを補正した Web用サイズとサムネイルを保存します (lib/kottouhinPhotos.js)。
+   is_primary の写真が一覧に表示する代表写真です (1件の骨董品につき1枚)。
+*/
+const KottouhinPhoto = sequelize.define('KottouhinPhoto', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    is_primary: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    caption: { type: DataTypes.STRING, allowNull: true }, // 例: 正面、裏面、銘、傷
+    original: { type: DataTypes.STRING, allowNull: false }, // 元の画像のパス
+    web: { type: DataTypes.STRING, allowNull: false }, // Web用サイズ (長辺 1600px)
+    thumbnail: { type: DataTypes.STRING, allowNull: false }, // サムネイル (長辺 400px)
+    width: { type: DataTypes.INTEGER, allowNull: true }, // 向きの補正後の元の画像の大きさ
+    height: { type: DataTypes.INTEGER, allowNull: true },
+    original_name: { type: DataTypes.STRING, allowNull: true } // アップロード時のファイル名
+}, {
+    indexes: [{ fields: ['KottouhinId', 'position'] }]
+});
+
+Kottouhin.hasMany(KottouhinPhoto, { foreignKey: 'KottouhinId', onDelete: 'CASCADE' });
+KottouhinPhoto.belongsTo(Kottouhin);
+
+// 骨董品の評価履歴
+/* 最新の評価額 (appraised_on が最も新しいもの) を保険評価額として扱います (lib/kottouhinValuation.js)。
+*/
+const KottouhinAppraisal = sequelize.define('KottouhinAppraisal', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    appraised_on: { type: DataTypes.DATEONLY, allowNull: false },
+    appraiser: { type: DataTypes.STRING, allowNull: false }, // 鑑定人・鑑定業者
+    value: { type: DataTypes.INTEGER, allowNull: false }, // 評価額 (円)
+    note: { type: DataTypes.STRING, allowNull: true }
+}, {
+    indexes: [{ fields: ['KottouhinId', 'appraised_on'] }]
+});
+
+Kottouhin.hasMany(KottouhinAppraisal, { foreignKey: 'KottouhinId', onDelete: 'CASCADE' });
+KottouhinAppraisal.belongsTo(Kottouhin);
+KottouhinAppraisal.belongsTo(User, { as: 'RecordedBy', foreignKey: 'RecordedByUserId' });
+
+// 骨董品の移動履歴 (展示・保管場所の変更と貸出・返却)
+/* 記録すると Kottouhin.location / lent_to を更新します。
+   location は display / storage / return では移動先の場所、lend では貸出先です。
+*/
+const KottouhinMovement = sequelize.define('KottouhinMovement', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    // display: 展示, storage: 保管, lend: 貸出, return: 返却
+    movement_type: {
+        type: DataTypes.ENUM('display', 'storage', 'lend', 'return'),
+        allowNull: false
+    },
+    location: { type: DataTypes.STRING, allowNull: false },
+    moved_on: { type: DataTypes.DATEONLY, allowNull: false },
+    due_on: { type: DataTypes.DATEONLY, allowNull: true }, // 返却予定日 (貸出のみ)
+    note: { type: DataTypes.STRING, allowNull: true }
+}, {
+    indexes: [{ fields: ['KottouhinId', 'moved_on'] }]
+});
+
+Kottouhin.hasMany(KottouhinMovement, { foreignKey: 'KottouhinId', onDelete: 'CASCADE' });
+KottouhinMovement.belongsTo(Kottouhin);
+KottouhinMovement.belongsTo(User, { as: 'RecordedBy', foreignKey: 'RecordedByUserId' });
 
 // 会議室予約システム
 const { Room, Department, Employee, Reservation } = require('./reservations')(sequelize);
+// 予約を登録したユーザー (ログイン中のユーザー。以前の予約は registeredBy の社員のみ)
+Reservation.belongsTo(User, { as: 'registeredByUser', foreignKey: 'registeredByLoginUserId' });
 
 // データベース接続とモデルをエクスポート
 module.exports = {
     sequelize,
+    generateLotCode,
     User,
+    UserSession,
+    LoginEvent,
+    ApiKey,
     StorageLocation,
     Bichikuhin,
+    BichikuhinCategory,
     StockRecord,
     Unit,
     Stocktaking,
+    StocktakingAssignment,
+    StockMovement,
+    StockTarget,
+    ExpiryAlertLog,
+    StockDisposal,
+    AuditLog,
     Kottouhin,
     KottouhinCategory,
+    KottouhinPhoto,
+    KottouhinAppraisal,
+    KottouhinMovement,
     Room,
     Department,
     Employee,
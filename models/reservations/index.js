@@ -85,11 +85,17 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: DataTypes.NOW,
     },
+    // Employee recorded as the registrant by older versions (new bookings leave it null)
     registeredByUserId: {
       type: DataTypes.INTEGER,
-      allowNull: false,
+      allowNull: true,
       references: { model: 'employees', key: 'id' },
     },
+    // Logged-in user who made the booking (User in models/index.js)
+    registeredByLoginUserId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
   }, {
     tableName: 'reservations',
     timestamps: false,
@@ -141,7 +147,7 @@ module.exports = (sequelize) => {
     as: 'registeredBy',
     foreignKey: {
       name: 'registeredByUserId',
-      allowNull: false,
+      allowNull: true,
     },
   });
  
@@ -0,0 +1,34 @@
+/* 棚卸モード用の Service Worker
+   電波の届かない保管場所でも棚卸画面を開き直せるよう、画面と CDN のスクリプトを端末に保存します。
+   在庫データそのものは画面側 (views/tanaoroshi.html) が localStorage に保存します。
+*/
+const CACHE_NAME = 'tanaoroshi-v1';
+
+const isCacheTarget = (url) => url.pathname === '/tanaoroshi'
+    || url.hostname === 'cdn.tailwindcss.com'
+    || url.hostname === 'unpkg.com';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+// 通信できればネットワークを優先し、つながらない場合のみ保存済みの内容を返す
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || !isCacheTarget(url)) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        try {
+            const response = await fetch(event.request);
+            // ログイン画面へのリダイレクトなどは保存しない
+            if ((response.ok && !response.redirected) || response.type === 'opaque') {
+                await cache.put(url.pathname === '/tanaoroshi' ? '/tanaoroshi' : event.request, response.clone());
+            }
+            return response;
+        } catch (err) {
+            const cached = await cache.match(url.pathname === '/tanaoroshi' ? '/tanaoroshi' : event.request);
+            if (cached) return cached;
+            throw err;
+        }
+    })());
+});
@@ -0,0 +1,43 @@
+process.env.TZ = 'Asia/Tokyo';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseHorizon, filterUnsent } = require('../jobs/expiryAlerts');
+
+// 08:00 JST の実行時刻 (UTC ではまだ前日)
+const RUN_AT = new Date('2026-10-18T23:00:00Z');
+
+test('parseHorizon counts from the local date of the run', () => {
+    assert.strictEqual(parseHorizon('expired', RUN_AT).date, '2026-10-19');
+    assert.strictEqual(parseHorizon('7d', RUN_AT).date, '2026-10-26');
+    assert.strictEqual(parseHorizon('2w', RUN_AT).date, '2026-11-02');
+    assert.strictEqual(parseHorizon('3m', RUN_AT).date, '2027-01-19');
+});
+
+test('parseHorizon labels the horizon', () => {
+    assert.strictEqual(parseHorizon('expired', RUN_AT).label, '期限切れ');
+    assert.strictEqual(parseHorizon('3m', RUN_AT).label, '3ヶ月以内');
+});
+
+test('parseHorizon rejects unknown horizons', () => {
+    assert.throws(() => parseHorizon('3y', RUN_AT), /Invalid expiry alert horizon/);
+});
+
+test('filterUnsent skips lots already alerted in an earlier stocktaking round', () => {
+    const horizon = { key: '1m' };
+    // 棚卸のコピーで在庫記録のIDは変わるが、ロット番号は引き継がれる
+    const expiring = [
+        { record: { id: 201, lot_code: 'A1B2C3D4E5', expiry_date: '2026-11-01' }, horizon },
+        { record: { id: 202, lot_code: 'FFFF000011', expiry_date: '2026-11-01' }, horizon }
+    ];
+    const sentLogs = [{ StockRecordId: 101, lot_code: 'A1B2C3D4E5', horizon: '1m', expiry_date: '2026-11-01' }];
+
+    assert.deepStrictEqual(filterUnsent(expiring, sentLogs).map(item => item.record.id), [202]);
+});
+
+test('filterUnsent alerts again when the lot enters a shorter horizon', () => {
+    const expiring = [{ record: { id: 201, lot_code: 'A1B2C3D4E5', expiry_date: '2026-10-01' }, horizon: { key: 'expired' } }];
+    const sentLogs = [{ lot_code: 'A1B2C3D4E5', horizon: '1m', expiry_date: '2026-10-01' }];
+
+    assert.strictEqual(filterUnsent(expiring, sentLogs).length, 1);
+});
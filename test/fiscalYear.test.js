@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fiscalYearOf, fiscalYearRange } = require('../lib/fiscalYear');
+
+test('fiscalYearOf starts the fiscal year in April', () => {
+    assert.strictEqual(fiscalYearOf('2026-03-31'), 2025);
+    assert.strictEqual(fiscalYearOf('2026-04-01'), 2026);
+    assert.strictEqual(fiscalYearOf(new Date(2027, 0, 15)), 2026);
+});
+
+test('fiscalYearRange covers April to March', () => {
+    assert.deepStrictEqual(fiscalYearRange(2026), { from: '2026-04-01', to: '2027-03-31' });
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isUploadName } = require('../lib/kottouhinPhotos');
+
+test('isUploadName accepts file names the app generates', () => {
+    assert.strictEqual(isUploadName('3f1c2a4e-1b2c-4d5e-8f90-123456789abc.jpg'), true);
+    assert.strictEqual(isUploadName('3f1c2a4e-1b2c-4d5e-8f90-123456789abc-web.webp'), true);
+    assert.strictEqual(isUploadName('3f1c2a4e-1b2c-4d5e-8f90-123456789abc-thumbnail.webp'), true);
+    // 写真の複数枚対応以前のアップロード
+    assert.strictEqual(isUploadName('photo-1700000000000-123456789.JPG'), true);
+});
+
+test('isUploadName leaves other files alone so the orphan sweep never deletes them', () => {
+    assert.strictEqual(isUploadName('Thumbs.db'), false);
+    assert.strictEqual(isUploadName('.gitkeep'), false);
+    assert.strictEqual(isUploadName('desktop.ini'), false);
+    assert.strictEqual(isUploadName('photo-backup.jpg'), false);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { latestAppraisals, buildInsuredValueReport } = require('../lib/kottouhinValuation');
+
+const appraisals = [
+    { id: 1, KottouhinId: 1, appraised_on: '2024-05-01', value: 300000 },
+    { id: 2, KottouhinId: 1, appraised_on: '2025-05-01', value: 500000 },
+    { id: 3, KottouhinId: 1, appraised_on: '2025-05-01', value: 450000 }, // 同じ日なら後に記録したもの
+    { id: 4, KottouhinId: 2, appraised_on: '2023-01-10', value: 80000 }
+];
+
+test('latestAppraisals picks the newest appraisal and breaks same-day ties by id', () => {
+    const latest = latestAppraisals(appraisals);
+    assert.strictEqual(latest.get(1).id, 3);
+    assert.strictEqual(latest.get(2).id, 4);
+});
+
+test('buildInsuredValueReport totals insured values by category without using acquisition prices', () => {
+    const report = buildInsuredValueReport({
+        categories: [{ id: 1, name: '陶磁器' }, { id: 2, name: '書画' }],
+        items: [
+            { id: 1, KottouhinCategoryId: 1, acquisition_price: 200000, lent_to: null },
+            { id: 2, KottouhinCategoryId: null, acquisition_price: 50000, lent_to: '市立博物館' },
+            { id: 3, KottouhinCategoryId: 1, acquisition_price: 10000, lent_to: null }
+        ],
+        appraisals
+    });
+
+    assert.deepStrictEqual(report.categories.map(group => [group.name, group.insuredValue, group.unappraised]), [
+        ['陶磁器', 450000, 1],
+        ['(カテゴリーなし)', 80000, 0]
+    ]);
+    assert.deepStrictEqual(report.total, {
+        count: 3, appraised: 2, unappraised: 1, insuredValue: 530000, acquisitionTotal: 260000, onLoan: 1
+    });
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const labels = require('../lib/labels');
+
+test('parseScanCode reads location and lot labels', () => {
+    assert.deepStrictEqual(labels.parseScanCode('LOC:12'), { type: 'location', value: '12' });
+    assert.deepStrictEqual(labels.parseScanCode(' LOT:A1B2C3D4E5 \r\n'), { type: 'lot', value: 'A1B2C3D4E5' });
+});
+
+test('parseScanCode rejects anything else', () => {
+    assert.strictEqual(labels.parseScanCode('A1B2C3D4E5'), null);
+    assert.strictEqual(labels.parseScanCode('LOC:'), null);
+    assert.strictEqual(labels.parseScanCode(null), null);
+});
+
+test('label codes round-trip through parseScanCode', () => {
+    assert.deepStrictEqual(labels.parseScanCode(labels.locationCode({ id: 7 })), { type: 'location', value: '7' });
+    assert.deepStrictEqual(labels.parseScanCode(labels.lotCode({ lot_code: 'ABCDEF0123' })), { type: 'lot', value: 'ABCDEF0123' });
+});
@@ -0,0 +1,14 @@
+process.env.TZ = 'Asia/Tokyo';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toDateString } = require('../lib/localDate');
+
+test('toDateString uses the local date, not the UTC date', () => {
+    // 2026-10-19 08:00 JST is still 2026-10-18 in UTC
+    assert.strictEqual(toDateString(new Date('2026-10-18T23:00:00Z')), '2026-10-19');
+});
+
+test('toDateString pads month and day', () => {
+    assert.strictEqual(toDateString(new Date(2026, 0, 5)), '2026-01-05');
+});
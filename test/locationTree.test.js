@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const locationTree = require('../lib/locationTree');
+
+const locations = [
+    { id: 1, name: '本部', level: 'site', ParentId: null },
+    { id: 2, name: '本館', level: 'building', ParentId: 1 },
+    { id: 3, name: '1階', level: 'floor', ParentId: 2 },
+    { id: 4, name: '倉庫A', level: 'room', ParentId: 3 },
+    { id: 5, name: '倉庫B', level: 'room', ParentId: 3 },
+    { id: 6, name: '別館', level: 'building', ParentId: 1 }
+];
+
+test('descendantIds expands a building to every location below it', () => {
+    assert.deepStrictEqual(locationTree.descendantIds(locations, '2').sort(), [2, 3, 4, 5]);
+    assert.deepStrictEqual(locationTree.descendantIds(locations, 4), [4]);
+});
+
+test('pathOf and ancestorAtLevel walk up the hierarchy', () => {
+    const map = locationTree.toMap(locations);
+    assert.strictEqual(locationTree.pathOf(map, 5), '本部 > 本館 > 1階 > 倉庫B');
+    assert.strictEqual(locationTree.ancestorAtLevel(map, 5, 'building').name, '本館');
+    assert.strictEqual(locationTree.ancestorAtLevel(map, 6, 'floor'), null);
+});
+
+test('validatePlacement keeps parents above and children below each level', () => {
+    assert.strictEqual(locationTree.validatePlacement(locations, { level: 'room', parentId: 3 }), null);
+    assert.match(locationTree.validatePlacement(locations, { level: 'building', parentId: 3 }), /cannot be placed under/);
+    assert.match(locationTree.validatePlacement(locations, { id: 2, level: 'room', parentId: 1 }), /must be below/);
+    assert.match(locationTree.validatePlacement(locations, { level: 'ward', parentId: 1 }), /level must be one of/);
+});
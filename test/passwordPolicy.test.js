@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const passwordPolicy = require('../lib/passwordPolicy');
+
+// 既定のルール: 10文字以上、4種類のうち3種類以上、過去5回分は使えない
+
+test('checkPassword enforces length and character classes', () => {
+    assert.match(passwordPolicy.checkPassword('Ab1!', 'tanaka'), /10文字以上/);
+    assert.match(passwordPolicy.checkPassword('abcdefghijk', 'tanaka'), /3種類以上/);
+    assert.strictEqual(passwordPolicy.checkPassword('Bichiku-2026', 'tanaka'), null);
+});
+
+test('checkPassword rejects passwords containing the user name', () => {
+    assert.match(passwordPolicy.checkPassword('Tanaka-2026!', 'tanaka'), /ユーザー名/);
+});
+
+test('passwordValues keeps the previous hashes and isReused finds them', async () => {
+    const first = await passwordPolicy.passwordValues(null, 'Bichiku-2026');
+    assert.deepStrictEqual(first.password_history, []);
+
+    const user = { password: first.password, password_history: [] };
+    const second = await passwordPolicy.passwordValues(user, 'Bichiku-2027', { mustChange: true });
+    assert.deepStrictEqual(second.password_history, [first.password]);
+    assert.strictEqual(second.must_change_password, true);
+
+    const changed = { password: second.password, password_history: second.password_history };
+    assert.strictEqual(await passwordPolicy.isReused('Bichiku-2026', changed), true);
+    assert.strictEqual(await passwordPolicy.isReused('Bichiku-2028', changed), false);
+    assert.ok(await bcrypt.compare('Bichiku-2027', second.password));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildForecast } = require('../lib/replacementForecast');
+
+const bichikuhins = [
+    { id: 1, name: '保存水', unit_price: 100, shelf_life_months: 60, Unit: { name: '本' } },
+    { id: 2, name: '簡易トイレ', unit_price: null, shelf_life_months: 12, Unit: { name: '個' } }
+];
+const records = [
+    { BichikuhinId: 1, quantity: 100, expiry_date: '2027-05-01' },
+    { BichikuhinId: 1, quantity: 50, expiry_date: '2025-01-01' }, // 期限切れは初年度に数える
+    { BichikuhinId: 2, quantity: 10, expiry_date: '2026-06-01' }
+];
+
+const forecast = buildForecast({ bichikuhins, records, targets: new Map([[1, 150]]), startFiscalYear: 2026, years: 3 });
+
+test('buildForecast buys back what expires to keep the target', () => {
+    const water = forecast.items.find(item => item.bichikuhinId === 1);
+    assert.deepStrictEqual(water.years.map(year => [year.expiring, year.purchase, year.cost]), [
+        [50, 50, 5000],
+        [100, 100, 10000],
+        [0, 0, 0]
+    ]);
+});
+
+test('buildForecast expires purchases again after their shelf life', () => {
+    // 目標がなければ現在の在庫数が目標。保存年数1年なので毎年買い替える
+    const toilets = forecast.items.find(item => item.bichikuhinId === 2);
+    assert.strictEqual(toilets.target, 10);
+    assert.deepStrictEqual(toilets.years.map(year => year.purchase), [10, 10, 10]);
+    assert.deepStrictEqual(toilets.years.map(year => year.cost), [null, null, null]);
+});
+
+test('buildForecast totals cost by fiscal year and counts unpriced items', () => {
+    assert.deepStrictEqual(forecast.totals, [
+        { fiscalYear: 2026, cost: 5000, unpricedItems: 1 },
+        { fiscalYear: 2027, cost: 10000, unpricedItems: 1 },
+        { fiscalYear: 2028, cost: 0, unpricedItems: 1 }
+    ]);
+    assert.strictEqual(forecast.grandTotal, 15000);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const iconv = require('iconv-lite');
+const { sendTable } = require('../lib/stockExport');
+
+// sendTable が送る内容を受け取るだけの res
+const fakeResponse = () => ({
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    send(body) { this.body = body; }
+});
+
+const exportCsv = async (text) => {
+    const res = fakeResponse();
+    await sendTable(res, [{ header: '備考', key: 'bikou' }], [{ bikou: text }], { format: 'csv', filename: 'test' });
+    return res;
+};
+
+test('CSV export is sent as Windows-31J', async () => {
+    const res = await exportCsv('水');
+    assert.strictEqual(res.headers['Content-Type'], 'text/csv; charset=Windows-31J');
+});
+
+test('CSV export keeps characters that plain Shift_JIS would turn into ?', async () => {
+    const res = await exportCsv('10〜20 −5 ‖ ①');
+    assert.ok(!res.body.includes(0x3F), 'no ? in the encoded output');
+    assert.strictEqual(iconv.decode(res.body, 'CP932'), '備考\r\n10～20 －5 ∥ ①\r\n');
+});
+
+test('CSV export quotes fields with commas, quotes and line breaks', async () => {
+    const res = await exportCsv('a,"b"\nc');
+    assert.strictEqual(iconv.decode(res.body, 'CP932'), '備考\r\n"a,""b""\nc"\r\n');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const iconv = require('iconv-lite');
+const { readRows, buildPreview, ImportError } = require('../lib/stockImport');
+
+const masters = {
+    locations: [{ id: 1, name: '倉庫A', ryakushou: 'A' }],
+    bichikuhins: [{ id: 10, name: '保存水', Unit: { name: '本' } }],
+    units: [{ id: 100, name: '本' }, { id: 101, name: '食' }]
+};
+
+test('readRows decodes Shift_JIS CSV when it is not valid UTF-8', async () => {
+    const buffer = iconv.encode('品名,保管場所,数量\r\n保存水,倉庫A,24\r\n', 'Shift_JIS');
+    const rows = await readRows({ originalname: 'stock.csv', buffer });
+    assert.deepStrictEqual(rows, [['品名', '保管場所', '数量'], ['保存水', '倉庫A', '24']]);
+});
+
+test('readRows rejects an unknown encoding', async () => {
+    await assert.rejects(readRows({ originalname: 'stock.csv', buffer: Buffer.from('a') }, 'no-such-encoding'), ImportError);
+});
+
+test('buildPreview matches masters and validates each row', () => {
+    const preview = buildPreview([
+        ['品名', '場所', '数量', '消費期限', '単位'],
+        ['保存水', 'A', '24', '2030/4/1', '本'],
+        ['アルファ米', '倉庫A', '50', '20300401', '食'],
+        ['保存水', '倉庫B', '-1', '2030/2/30', '箱']
+    ], masters);
+
+    assert.deepStrictEqual(preview.summary, { total: 3, valid: 2, invalid: 1 });
+    assert.strictEqual(preview.rows[0].bichikuhinId, 10);
+    assert.strictEqual(preview.rows[0].locationId, 1);
+    assert.strictEqual(preview.rows[0].expiryDate, '2030-04-01');
+    assert.strictEqual(preview.rows[1].isNewBichikuhin, true);
+    assert.deepStrictEqual(preview.newBichikuhins, [{ name: 'アルファ米', unitName: '食' }]);
+    assert.deepStrictEqual(preview.rows[2].errors, [
+        '保管場所「倉庫B」が見つかりません',
+        '数量は0以上の整数で入力してください',
+        '消費期限「2030/2/30」を日付として読み取れません',
+        '単位「箱」が登録済みの備蓄品の単位「本」と異なります'
+    ]);
+});
+
+test('buildPreview reports missing required columns', () => {
+    const preview = buildPreview([['品名', '数量'], ['保存水', '1']], masters);
+    assert.deepStrictEqual(preview.errors, ['必須列が見つかりません: location']);
+});
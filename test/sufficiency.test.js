@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSufficiency } = require('../lib/sufficiency');
+
+const locations = [
+    { id: 1, name: '本部', level: 'site', ParentId: null, headcount: 0 },
+    { id: 2, name: '本館', level: 'building', ParentId: 1, headcount: 0 },
+    { id: 3, name: '倉庫A', level: 'room', ParentId: 2, headcount: 10 },
+    { id: 4, name: '倉庫B', level: 'room', ParentId: 2, headcount: 10 }
+];
+const categories = [{ id: 1, name: '飲料水', need_unit: 'L', daily_need: 3 }];
+const water = { name: '保存水 2L', BichikuhinCategoryId: 1, consumption_factor: 2 };
+const records = [
+    { BichikuhinId: 10, StorageLocationId: 3, quantity: 60, Bichikuhin: water },
+    { BichikuhinId: 10, StorageLocationId: 4, quantity: 30, Bichikuhin: water },
+    { BichikuhinId: 11, StorageLocationId: 3, quantity: 5, Bichikuhin: { name: '給水袋', BichikuhinCategoryId: 1, consumption_factor: null } },
+    { BichikuhinId: 12, StorageLocationId: 3, quantity: 5, Bichikuhin: { name: '毛布', BichikuhinCategoryId: null } }
+];
+
+test('buildSufficiency divides supply by headcount and daily need per room', () => {
+    const result = buildSufficiency({ locations, records, categories, level: 'room' });
+    assert.deepStrictEqual(result.groups.map(group => [group.name, group.headcount, group.categories[0].days]), [
+        ['倉庫A', 10, 4],
+        ['倉庫B', 10, 2]
+    ]);
+});
+
+test('buildSufficiency adds up headcount and supply below the chosen level', () => {
+    const result = buildSufficiency({ locations, records, categories, level: 'building' });
+    assert.strictEqual(result.groups.length, 1);
+    assert.strictEqual(result.groups[0].path, '本部 > 本館');
+    assert.deepStrictEqual(result.groups[0].categories[0], {
+        categoryId: 1,
+        supply: 180,
+        lots: 3,
+        unconverted: ['給水袋'],
+        days: 3
+    });
+});
+
+test('buildSufficiency lists uncategorized items', () => {
+    const result = buildSufficiency({ locations, records, categories, level: 'site' });
+    assert.strictEqual(result.total.headcount, 20);
+    assert.deepStrictEqual(result.uncategorized, [{ bichikuhinId: 12, name: '毛布' }]);
+});